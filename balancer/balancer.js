@@ -194,6 +194,18 @@ var Balancer = {
         return shard;
     },
 
+    // Account for a chunk moved to another shard in the shard sizes; the
+    // source shard of a chunk journaled by a resumed run may no longer be
+    // among those init found
+    moveShardSize: function(chunk, destinationShard){
+        if (chunk.shard in this.shards){
+            this.shards[chunk.shard].size -= chunk.size;
+        }
+        if (destinationShard in this.shards){
+            this.shards[destinationShard].size += chunk.size;
+        }
+    },
+
     update: function(){
         return this.init(0, 1);
     },
@@ -459,6 +471,140 @@ var Balancer = {
         this._waitForDelete = b;
     },
 
+    // only split and move chunks in this window, in the format of the
+    // balancer activeWindow in config.settings: {start:'HH:MM', stop:'HH:MM'},
+    // stop included; days are those the window starts on. The times are in
+    // the local time of the shell, or at utcOffset (minutes or '+HH:MM') from
+    // UTC, as the balancer uses the time zone of the config server primary
+    _window: null,
+    setWindow: function(start, end, days, utcOffset){
+        if (start === null){
+            this._window = null;
+            return;
+        }
+        // an activeWindow document
+        if (start instanceof Object){
+            utcOffset = days;
+            days = end;
+            end = start.stop;
+            start = start.start;
+        }
+        if (this.windowMinutes(start) === null || this.windowMinutes(end) === null){
+            print_ts("Window start and end must be 'HH:MM', window not set");
+            return;
+        }
+        var windowDays = [];
+        if (days){
+            for (var i = 0; i < days.length; i++){
+                var day = days[i];
+                if (typeof day === "string"){
+                    day = _days.indexOf(day.substr(0,1).toUpperCase()+day.substr(1,2).toLowerCase());
+                }
+                if (! (day >= 0 && day < 7)){
+                    print_ts("Unknown window day "+days[i]+", window not set");
+                    return;
+                }
+                windowDays.push(day);
+            }
+        }
+        var offset = null;
+        if ((utcOffset !== undefined) && (utcOffset !== null)){
+            offset = this.windowOffset(utcOffset);
+            if (offset === null){
+                print_ts("Window UTC offset must be minutes or '+HH:MM', window not set");
+                return;
+            }
+        }
+        this._window = {'start':start,'stop':end,'days':windowDays,'utcOffset':offset};
+    },
+    windowMinutes: function(hhmm){
+        var match = /^(\d{1,2}):(\d{2})$/.exec(hhmm);
+        if (! match || (parseInt(match[1],10) > 23) || (parseInt(match[2],10) > 59)){
+            return null;
+        }
+        return parseInt(match[1],10)*60+parseInt(match[2],10);
+    },
+    // UTC offset in minutes, from minutes or '+HH:MM'
+    windowOffset: function(offset){
+        if (typeof offset === "number"){
+            return (Math.abs(offset) <= 14*60) ? Math.round(offset) : null;
+        }
+        var match = /^([+-])(\d{1,2}):(\d{2})$/.exec(offset);
+        if (! match || (parseInt(match[2],10) > 14) || (parseInt(match[3],10) > 59)){
+            return null;
+        }
+        return (match[1] == "-" ? -1 : 1)*(parseInt(match[2],10)*60+parseInt(match[3],10));
+    },
+    // time zone of the window, for messages
+    windowZone: function(){
+        var offset = this._window.utcOffset;
+        if (offset === null || offset === undefined){
+            return "local time";
+        }
+        var hh = ""+Math.floor(Math.abs(offset)/60);
+        var mm = ""+(Math.abs(offset)%60);
+        return "UTC"+(offset < 0 ? "-" : "+")+(hh.length < 2 ? "0" : "")+hh+":"+(mm.length < 2 ? "0" : "")+mm;
+    },
+    // day of the week and minutes since midnight (with the seconds as a
+    // fraction) of a date in the time zone of the window
+    windowTime: function(date){
+        var offset = this._window.utcOffset;
+        if (offset === null || offset === undefined){
+            return {'day':date.getDay(),
+                    'minutes':date.getHours()*60+date.getMinutes()+date.getSeconds()/60+date.getMilliseconds()/60000};
+        }
+        var shifted = new Date(date.getTime()+offset*60000);
+        return {'day':shifted.getUTCDay(),
+                'minutes':shifted.getUTCHours()*60+shifted.getUTCMinutes()+shifted.getUTCSeconds()/60+shifted.getUTCMilliseconds()/60000};
+    },
+    windowDay: function(day){
+        return (! this._window.days.length) || (this._window.days.indexOf(day) >= 0);
+    },
+    // whether a date is in the window; as for the balancer, the stop time
+    // itself is in it
+    inWindow: function(date){
+        if (! this._window){
+            return true;
+        }
+        var start = this.windowMinutes(this._window.start);
+        var stop = this.windowMinutes(this._window.stop);
+        var time = this.windowTime(date);
+        var now = time.minutes;
+        var day = time.day;
+        if (start == stop){
+            return this.windowDay(day);
+        }
+        if (start < stop){
+            return this.windowDay(day) && (now >= start) && (now <= stop);
+        }
+        // the window goes past midnight, and may have started the day before
+        return (this.windowDay(day) && (now >= start)) || (this.windowDay((day+6)%7) && (now <= stop));
+    },
+    nextWindow: function(date){
+        var start = this.windowMinutes(this._window.start);
+        var time = this.windowTime(date);
+        for (var i = 0; i < 8; i++){
+            var minutes = i*24*60+start-time.minutes;
+            if ((minutes > 0) && this.windowDay((time.day+i)%7)){
+                return new Date(date.getTime()+minutes*60000);
+            }
+        }
+        return null;
+    },
+    // Wait for the window to open; called before each split and move, so a
+    // migration in flight when the window closes is finished first
+    waitForWindow: function(){
+        if (this.inWindow(new Date())){
+            return;
+        }
+        var next = this.nextWindow(new Date());
+        print_ts("Outside the window, pausing until "+_days[this.windowTime(next).day]+" "+this._window.start+" "+this.windowZone());
+        while (! this.inWindow(new Date())){
+            sleep(Math.min(Math.max(next-new Date(), 1000), 60000));
+        }
+        print_ts("Window open, continuing");
+    },
+
     test: true,
     ready: function(){
         this.test = false;
@@ -541,12 +687,276 @@ var Balancer = {
         return 1;
     },
 
-    run: function(){
-        var test = this.test;
-        // reset for subsequent runs
-        this.test = true;
+    // Real runs record every planned and completed split and move in a
+    // journal collection, so that a run that was interrupted can be resumed
+    journalNS: "balancerjs.journal",
+    setJournal: function(ns){
+        this.journalNS = ns;
+    },
+    getJournal: function(){
+        var dbName = this.journalNS.split(".")[0];
+        var collName = this.journalNS.substr(dbName.length+1);
+        return this.getLocalDB().getSiblingDB(dbName).getCollection(collName);
+    },
+
+    // settings of a run, kept in the journal to resume it with
+    _runSettings: ['namespace','_shard','_shardRestrict','_chunkRange','_destShard','_destShards',
+                   'maxChunkSize','maxChunks','sortBySmallest','split','move','sleep',
+                   '_secondaryThrottle','_waitForDelete','_window'],
+
+    // id of the run being journaled; null for test runs
+    _runId: null,
+    // journaled run for the next run to pick up
+    _resumeRun: null,
+
+    journal: function(doc){
+        if (! this._runId){
+            return null;
+        }
+        doc['_id'] = ObjectId();
+        doc['run'] = this._runId;
+        doc['planned'] = new Date();
+        this.getJournal().insert(doc);
+        return doc['_id'];
+    },
+    journalResult: function(id, state){
+        if (! this._runId || ! id){
+            return;
+        }
+        this.getJournal().update({'_id':id}, {'$set':{'state':state,'ended':new Date()}});
+    },
+    findJournal: function(query){
+        if (! this._runId){
+            return null;
+        }
+        query['run'] = this._runId;
+        return this.getJournal().findOne(query);
+    },
+
+    getSettings: function(){
+        var settings = {};
+        for (var i = 0; i < this._runSettings.length; i++){
+            settings[this._runSettings[i]] = this[this._runSettings[i]];
+        }
+        return settings;
+    },
+    applySettings: function(settings){
+        for (var i = 0; i < this._runSettings.length; i++){
+            var setting = this._runSettings[i];
+            if (setting in settings){
+                this[setting] = settings[setting];
+            }
+        }
+    },
+
+    // Start journaling a real run, or the execution of a plan, returning the
+    // chunks to process: those given, or the ones not done yet of the run
+    // being resumed
+    startJournal: function(chunks, resumeRun, plan){
+        var journal = this.getJournal();
+        if (resumeRun){
+            this._runId = resumeRun._id;
+            chunks = [];
+            journal.find({'run':this._runId,'type':'chunk','state':{'$ne':'done'}}).sort({'seq':1}).forEach(function(entry){
+                chunks.push(entry.chunk);
+            });
+            journal.update({'_id':this._runId}, {'$set':{'state':'running','resumed':new Date()}});
+            print_ts("Resuming run "+this._runId+", "+chunks.length+" chunks left");
+            return chunks;
+        }
+
+        this._runId = ObjectId();
+        var run = {'_id':this._runId,'type':'run','state':'running','started':new Date()};
+        if (plan){
+            run['plan'] = plan._id;
+            run['settings'] = plan.settings;
+        } else {
+            run['settings'] = this.getSettings();
+        }
+        journal.insert(run);
+        var entries = [];
+        for (var chunki = 0; chunki < chunks.length; chunki++){
+            entries.push({'run':this._runId,'type':'chunk','seq':chunki,'chunk':chunks[chunki],'state':'planned'});
+        }
+        // an execution resumes with the operations it was started with,
+        // whatever became of the plan since
+        if (plan){
+            for (var opi = 0; opi < plan.operations.length; opi++){
+                entries.push({'run':this._runId,'type':'operation','seq':opi,'operation':plan.operations[opi]});
+            }
+        }
+        if (entries.length){
+            journal.insert(entries);
+        }
+        print_ts("Journaling run "+this._runId+" to "+this.journalNS);
+        return chunks;
+    },
+    // Record how processing a chunk ended: done, failed (a split or move
+    // failed) or skipped (no splitKeys); resume() picks up all but done ones
+    journalChunk: function(chunk, state){
+        if (! this._runId){
+            return;
+        }
+        this.getJournal().update({'run':this._runId,'type':'chunk','chunk.id':chunk.id},
+                                 {'$set':{'state':state,'ended':new Date()}});
+    },
+    // End the run, as incomplete if some of its chunks failed or were
+    // skipped, for resume() to retry them
+    endJournal: function(){
+        if (! this._runId){
+            return;
+        }
+        var journal = this.getJournal();
+        var state = "completed";
+        if (journal.findOne({'run':this._runId,'type':'chunk','state':{'$ne':'done'}})){
+            state = "incomplete";
+            print_ts("Some chunks failed or were skipped, Balancer.resume() retries them");
+        }
+        journal.update({'_id':this._runId}, {'$set':{'state':state,'ended':new Date()}});
+        this._runId = null;
+    },
+    // Mark a journaled run that cannot go on as aborted, so that resume()
+    // no longer picks it up
+    abortRun: function(run, reason){
+        this.getJournal().update({'_id':run._id}, {'$set':{'state':'aborted','reason':reason,'ended':new Date()}});
+        print_ts("Aborted run "+run._id+": "+reason);
+    },
+
+    // splitKeys of a chunk, as journaled if the run is being resumed
+    journaledSplitKeys: function(chunk){
+        var entry = this.findJournal({'type':'splitKeys','chunk':chunk.id});
+        if (entry){
+            return entry.splitKeys;
+        }
+        var splitKeys = this.getSplitKeys(chunk);
+        if (splitKeys){
+            this.journal({'type':'splitKeys','chunk':chunk.id,'ns':chunk.ns,'source':chunk.shard,'splitKeys':splitKeys});
+        }
+        return splitKeys;
+    },
+
+    // Split a chunk at a key unless the journal has it done already; a split
+    // that was started but not recorded is done if the chunk boundary exists
+    journaledSplitChunk: function(chunk, proj){
+        var entry = this.findJournal({'type':'split','chunk':chunk.id,'key':proj});
+        if (entry){
+            if (entry.state == "done"){
+                print_ts("Split already done, skipping");
+                return 1;
+            }
+            if (this.getLocalDB().getSiblingDB("config").chunks.findOne({'ns':chunk.ns,'min':proj})){
+                print_ts("Split already done, skipping");
+                this.journalResult(entry._id, "done");
+                return 1;
+            }
+            var id = entry._id;
+        } else {
+            var id = this.journal({'type':'split','chunk':chunk.id,'ns':chunk.ns,'key':proj,'source':chunk.shard,'state':'planned'});
+        }
+        this.waitForWindow();
+        var res = this.splitChunk(chunk.ns, proj);
+        this.journalResult(id, res ? "done" : "failed");
+        return res;
+    },
+
+    // Move the chunk starting at a key unless the journal has it done already;
+    // a move that was started but not recorded is done if the chunk is on the
+    // destination shard
+    journaledMoveChunk: function(chunk, proj, dest){
+        var entry = this.findJournal({'type':'move','chunk':chunk.id,'find':proj});
+        if (entry){
+            if (entry.state == "done"){
+                print_ts("Move already done, skipping");
+                return 1;
+            }
+            var current = this.getLocalDB().getSiblingDB("config").chunks.findOne({'ns':chunk.ns,'min':proj});
+            if (current && current.shard == entry.destination){
+                print_ts("Move already done, skipping");
+                this.journalResult(entry._id, "done");
+                return 1;
+            }
+            this.getJournal().update({'_id':entry._id}, {'$set':{'destination':dest}});
+            var id = entry._id;
+        } else {
+            var id = this.journal({'type':'move','chunk':chunk.id,'ns':chunk.ns,'find':proj,'source':chunk.shard,'destination':dest,'state':'planned'});
+        }
+        this.waitForWindow();
+        var res = this.moveChunk(chunk.ns, proj, dest);
+        this.journalResult(id, res ? "done" : "failed");
+        return res;
+    },
+
+    // last real run that was interrupted or left chunks failed or skipped,
+    // or null
+    interruptedRun: function(){
+        var runs = this.getJournal().find({'type':'run','state':{'$in':['running','incomplete']}}).sort({'started':-1}).limit(1).toArray();
+        if (! runs.length){
+            print_ts("No interrupted or incomplete run found in "+this.journalNS);
+            return null;
+        }
+        return runs[0];
+    },
+
+    // Pick up the last real run that did not complete, with its settings,
+    // skipping the splits and moves it already did
+    resume: function(){
+        var run = this.interruptedRun();
+        if (! run){
+            return 4;
+        }
+        this._resumeRun = run;
+        if (run.plan){
+            return this.execute(this.journaledPlan(run));
+        }
+        this.applySettings(run.settings);
+        // only real runs are journaled
+        this.ready();
+        return this.run();
+    },
 
-        // validate configuration
+    // Give up on the last real run that did not complete, so that resume()
+    // no longer picks it up
+    abandon: function(){
+        var run = this.interruptedRun();
+        if (! run){
+            return 4;
+        }
+        this.abortRun(run, "abandoned");
+        return 0;
+    },
+
+    // chunks for this run to process, taken from those found by init
+    selectChunks: function(){
+        var maxChunks;
+        // lower expectations
+        if ((this.chunks.length < this.maxChunks) || (this.maxChunks < 0)){
+            maxChunks = this.chunks.length;
+        } else {
+            maxChunks = this.maxChunks;
+        }
+
+        // if we are moving chunks, consider all non-empty chunks
+        // otherwise only process large chunks for splitting
+        if (! this.move) {
+            var lastLargeChunki = 0;
+            for (var chunki = 0; chunki < this.chunks.length; chunki++){
+                // find first chunk <= 64MB
+                if (this.chunks[chunki].size/1024./1024. <= this.maxChunkSize)
+                    break;
+                else
+                    lastLargeChunki++;
+            }
+            if (maxChunks > lastLargeChunki){
+                maxChunks = lastLargeChunki;
+            }
+        }
+
+        print_ts("Considering "+maxChunks+" chunks");
+        return this.chunks.splice(0,maxChunks);
+    },
+
+    // validate configuration
+    validate: function(){
         if (this._shardRestrict && (! this._shard)){
             print_ts("shardRestrict enabled but source shard not specified");
             print_ts("specify shard with setShard or disable shardRestrict");
@@ -562,6 +972,25 @@ var Balancer = {
             return 3;
         }
 
+        return 0;
+    },
+
+    run: function(){
+        var test = this.test;
+        // reset for subsequent runs
+        this.test = true;
+        this._runId = null;
+        var resumeRun = this._resumeRun;
+        this._resumeRun = null;
+
+        var res = this.validate();
+        if (res){
+            if (resumeRun){
+                this.abortRun(resumeRun, "invalid settings");
+            }
+            return res;
+        }
+
         var stars     = "********************************************************************";
         var estars    = "*                                                                  *";
         if (test){
@@ -649,6 +1078,22 @@ var Balancer = {
             }
             wfdString += padString;
         }
+        var windowString = null;
+        if (this._window){
+            var windowString = "*  window: " + this._window.start + "-" + this._window.stop + " " + this.windowZone();
+            if (this._window.days.length){
+                var windowDays = [];
+                for (var i = 0; i < this._window.days.length; i++){
+                    windowDays.push(_days[this._window.days[i]]);
+                }
+                windowString += " starting " + windowDays.join(",");
+            }
+            var padString = "*";
+            for (var tmpi = stars.length; tmpi > windowString.length+1; tmpi--){
+                padString = " "+padString;
+            }
+            windowString += padString;
+        }
 
         print(stars);
         print(estars);
@@ -667,6 +1112,9 @@ var Balancer = {
         if (wfdString){
             print(wfdString);
         }
+        if (windowString){
+            print(windowString);
+        }
         print(estars);
         print(stars);
 
@@ -684,44 +1132,27 @@ var Balancer = {
         // find the chunks
         assert.eq(this.init(1),1);
 
-        if (! this.chunks.length){
+        // a resumed run carries on with the chunks it has left
+        if (! this.chunks.length && ! resumeRun){
             print_ts("No chunks found, exiting");
             return 0;
         }
 
-        var maxChunks;
-        // lower expectations
-        if ((this.chunks.length < this.maxChunks) || (this.maxChunks < 0)){
-            maxChunks = this.chunks.length;
-        } else {
-            maxChunks = this.maxChunks;
-        }
+        var chunks = this.selectChunks();
 
-        // if we are moving chunks, consider all non-empty chunks
-        // otherwise only process large chunks for splitting
-        if (! this.move) {
-            var lastLargeChunki = 0;
-            for (var chunki = 0; chunki < this.chunks.length; chunki++){
-                // find first chunk <= 64MB
-                if (this.chunks[chunki].size/1024./1024. <= this.maxChunkSize)
-                    break;
-                else
-                    lastLargeChunki++;
-            }
-            if (maxChunks > lastLargeChunki){
-                maxChunks = lastLargeChunki;
-            }
+        if (! test){
+            chunks = this.startJournal(chunks, resumeRun);
         }
 
-        print_ts("Considering "+maxChunks+" chunks");
-        var chunks = this.chunks.splice(0,maxChunks);
-
         // used to recalculate chunk distribution
         // in case of failed chunk move
         var recalc = false;
         // recalculate chunk distribution after n
         // successful chunk migrations
         var moves = 0;
+        // the current chunk and how processing it ended, for the journal
+        var chunk = null;
+        var chunkState = "done";
 
         for (var chunki = 0; chunki < chunks.length; chunki++){
             // recalculate chunk distribution?
@@ -739,6 +1170,7 @@ var Balancer = {
 
             // do not do first time through
             if (chunki){
+                this.journalChunk(chunks[chunki-1], chunkState);
                 print_ts("Sleeping for "+this.sleep+" millis before starting chunk");
                 // but not if we're testing because it's annoying
                 if (! test){
@@ -746,7 +1178,8 @@ var Balancer = {
                 }
             }
 
-            var chunk = chunks[chunki];
+            chunk = chunks[chunki];
+            chunkState = "done";
 
             if (this.verbose){
                 var pct = (chunki/chunks.length)*100;
@@ -761,9 +1194,10 @@ var Balancer = {
             if (this.split && (sizeInMB > this.maxChunkSize)){
                 // get array of splitKeys
                 print_ts("Getting splitKeys for large chunk");
-                var splitKeys = this.getSplitKeys(chunk);
+                var splitKeys = this.journaledSplitKeys(chunk);
                 if (! splitKeys){
                     print_ts("Error getting splitKeys, skipping large chunk");
+                    chunkState = "skipped";
                     continue;
                 } else {
                     if (this.verbose){
@@ -801,8 +1235,9 @@ var Balancer = {
 
                         var chunkProj = splitKeys[spliti];
                         if (! test){
-                            var res = this.splitChunk(chunk.ns, chunkProj);
+                            var res = this.journaledSplitChunk(chunk, chunkProj);
                             if (! res){
+                                chunkState = "failed";
                                 // back to the chunki loop
                                 break;
                             }
@@ -830,9 +1265,10 @@ var Balancer = {
                                 }
 
                                 if (! test) {
-                                    var res = this.moveChunk(chunk.ns, theMin, destinationShard);
+                                    var res = this.journaledMoveChunk(chunk, theMin, destinationShard);
                                     if (! res){
                                         recalc = true;
+                                        chunkState = "failed";
                                         // back to the chunki loop
                                         break;
                                     } else {
@@ -843,6 +1279,11 @@ var Balancer = {
                         }
                     } // spliti
 
+                    // a failed split or move skips the rest of the chunk
+                    if (chunkState == "failed"){
+                        continue;
+                    }
+
                     // Don't forget to move the last split!
                     if (this.move) {
                         if (destinationShard == chunk.shard) {
@@ -859,7 +1300,7 @@ var Balancer = {
                             }
 
                             if (! test) {
-                                var res = this.moveChunk(chunk.ns, theMin, destinationShard);
+                                var res = this.journaledMoveChunk(chunk, theMin, destinationShard);
                             } else {
                                 // simulate success
                                 var res = true;
@@ -867,14 +1308,12 @@ var Balancer = {
 
                             if (! res){
                                 recalc = true;
-                                // back to the chunki loop
-                                break;
+                                chunkState = "failed";
                             } else {
                                 moves++;
                                 // if we are here we moved the whole chunk successfully
                                 // yay us! update shard sizes rather than recalculate
-                                this.shards[chunk.shard].size -= chunk.size;
-                                this.shards[destinationShard].size += chunk.size;
+                                this.moveShardSize(chunk, destinationShard);
                             }
                         }
                     }
@@ -906,7 +1345,7 @@ var Balancer = {
                         }
 
                         if (! test) {
-                            var res = this.moveChunk(chunk.ns, chunk.min, destinationShard);
+                            var res = this.journaledMoveChunk(chunk, chunk.min, destinationShard);
                         } else {
                             // simulate success
                             var res = true;
@@ -914,17 +1353,300 @@ var Balancer = {
 
                         if (! res){
                             recalc = true;
+                            chunkState = "failed";
                         } else {
                             moves++;
-                            this.shards[chunk.shard].size -= chunk.size;
-                            this.shards[destinationShard].size += chunk.size;
+                            this.moveShardSize(chunk, destinationShard);
                         }
                     }
                 }
             }
         } // chunki
+
+        if (chunk){
+            this.journalChunk(chunk, chunkState);
+        }
+        this.endJournal();
     }, // run
 
+    // shard to move a chunk to: the destination shard, the next of the
+    // destination shards or the thinnest shard
+    getDestinationShard: function(chunki){
+        if (this._destShard){
+            return this._destShard;
+        }
+        if (this._destShards){
+            return this._destShards[(chunki % this._destShards.length)];
+        }
+        return this.thinnestShard();
+    },
+
+    // Work out what a run would do without doing it: the splits of large
+    // chunks at the keys from splitVector, and the moves with their source,
+    // destination and estimated size. The plan is saved in the journal to be
+    // reviewed or exported, and run later with Balancer.execute()
+    plan: function(){
+        if (this.validate()){
+            return null;
+        }
+
+        assert.eq(this.init(1),1);
+        if (! this.chunks.length){
+            print_ts("No chunks found, nothing to plan");
+            return null;
+        }
+        var chunks = this.selectChunks();
+
+        var plan = {'_id':ObjectId(),'type':'plan','created':new Date(),'settings':this.getSettings(),
+                    'chunks':[],'operations':[],'splits':0,'moves':0,'estimatedBytes':0};
+        for (var chunki = 0; chunki < chunks.length; chunki++){
+            var chunk = chunks[chunki];
+
+            var splitKeys = [];
+            if (this.split && (chunk.size/1024./1024. > this.maxChunkSize)){
+                splitKeys = this.getSplitKeys(chunk);
+                if (! splitKeys){
+                    print_ts("Error getting splitKeys, skipping large chunk {_id:'"+chunk.id+"'}");
+                    continue;
+                }
+            }
+            var destinationShard = this.getDestinationShard(chunki);
+            var move = this.move && (destinationShard != chunk.shard);
+            if (! splitKeys.length && ! move){
+                continue;
+            }
+            plan.chunks.push(chunk);
+
+            // as in run, each split is followed by the move of the part below
+            // the split key, and the last part is moved at the end
+            var partSize = Math.round(chunk.size/(splitKeys.length+1));
+            var theMin = chunk.min;
+            for (var spliti = 0; spliti <= splitKeys.length; spliti++){
+                if (spliti < splitKeys.length){
+                    plan.operations.push({'op':'split','chunk':chunk.id,'ns':chunk.ns,'key':splitKeys[spliti],'shard':chunk.shard});
+                    plan.splits++;
+                }
+                if (move){
+                    plan.operations.push({'op':'move','chunk':chunk.id,'ns':chunk.ns,'find':theMin,
+                                          'source':chunk.shard,'destination':destinationShard,'estimatedBytes':partSize});
+                    plan.moves++;
+                    plan.estimatedBytes += partSize;
+                }
+                theMin = splitKeys[spliti];
+            }
+            if (move){
+                this.moveShardSize(chunk, destinationShard);
+            }
+        }
+
+        this.savePlan(plan);
+        print_ts("Planned "+plan.splits+" splits and "+plan.moves+" moves ("+plan.estimatedBytes+" bytes) of "+plan.chunks.length+" chunks");
+        print_ts("Saved plan "+plan._id+" to "+this.journalNS);
+        return plan;
+    },
+
+    // Save a plan in the journal as a header with its settings and totals, and
+    // one entry per chunk and per operation, as a plan may not fit in one
+    // document. They all hold the plan _id in plan, to be exported by it
+    savePlan: function(plan){
+        var journal = this.getJournal();
+        journal.insert({'_id':plan._id,'plan':plan._id,'type':'plan','created':plan.created,'settings':plan.settings,
+                        'splits':plan.splits,'moves':plan.moves,'estimatedBytes':plan.estimatedBytes});
+        var entries = [];
+        for (var chunki = 0; chunki < plan.chunks.length; chunki++){
+            entries.push({'plan':plan._id,'type':'chunk','seq':chunki,'chunk':plan.chunks[chunki]});
+        }
+        for (var opi = 0; opi < plan.operations.length; opi++){
+            entries.push({'plan':plan._id,'type':'operation','seq':opi,'operation':plan.operations[opi]});
+        }
+        if (entries.length){
+            journal.insert(entries);
+        }
+    },
+
+    // Put a plan back together from the chunk and operation entries the
+    // query finds, in order
+    assemblePlan: function(query, plan){
+        var journal = this.getJournal();
+        plan['chunks'] = [];
+        plan['operations'] = [];
+        plan['splits'] = 0;
+        plan['moves'] = 0;
+        plan['estimatedBytes'] = 0;
+        query['type'] = 'chunk';
+        journal.find(query).sort({'seq':1}).forEach(function(entry){
+            plan.chunks.push(entry.chunk);
+        });
+        query['type'] = 'operation';
+        journal.find(query).sort({'seq':1}).forEach(function(entry){
+            var op = entry.operation;
+            plan.operations.push(op);
+            if (op.op == "split"){
+                plan.splits++;
+            } else {
+                plan.moves++;
+                plan.estimatedBytes += op.estimatedBytes;
+            }
+        });
+        return plan;
+    },
+
+    // a plan saved by Balancer.plan(), or null
+    loadPlan: function(planId){
+        var header = this.getJournal().findOne({'_id':planId,'type':'plan'});
+        if (! header){
+            return null;
+        }
+        return this.assemblePlan({'plan':planId}, {'_id':header._id,'created':header.created,'settings':header.settings});
+    },
+
+    // the plan a journaled execution was started with
+    journaledPlan: function(run){
+        return this.assemblePlan({'run':run._id}, {'_id':run.plan,'settings':run.settings});
+    },
+
+    // Problems that keep a plan from being executed: chunks that were split,
+    // merged or moved since it was made, and destination shards that are gone.
+    // Chunks the interrupted execution being resumed worked on have changed
+    // already and are not checked
+    checkPlan: function(plan, resumeRun){
+        var config = this.getLocalDB().getSiblingDB("config");
+        var problems = [];
+        for (var chunki = 0; chunki < plan.chunks.length; chunki++){
+            var chunk = plan.chunks[chunki];
+            if (resumeRun && this.getJournal().findOne({'run':resumeRun._id,'chunk':chunk.id})){
+                continue;
+            }
+            var current = config.chunks.findOne({'ns':chunk.ns,'min':chunk.min,'max':chunk.max});
+            if (! current){
+                problems.push("chunk "+chunk.id+" no longer exists; it was split, merged or dropped");
+            } else if (current.shard != chunk.shard){
+                problems.push("chunk "+chunk.id+" is on "+current.shard+", not "+chunk.shard);
+            }
+        }
+        var shards = {};
+        for (var opi = 0; opi < plan.operations.length; opi++){
+            var op = plan.operations[opi];
+            if ((op.op == "move") && ! (op.destination in shards)){
+                shards[op.destination] = 1;
+                if (! config.shards.findOne({'_id':op.destination})){
+                    problems.push("destination shard "+op.destination+" does not exist");
+                }
+            }
+        }
+        return problems;
+    },
+
+    // Run exactly the operations of a plan from Balancer.plan(), given as the
+    // plan or its _id in the journal, with the settings it was made with.
+    // Nothing is done if the plan no longer applies to config.chunks
+    execute: function(plan){
+        this._runId = null;
+        var resumeRun = this._resumeRun;
+        this._resumeRun = null;
+
+        if (! plan || ! plan.operations){
+            var planId = plan;
+            plan = this.loadPlan(planId);
+            if (! plan){
+                print_ts("No plan "+planId+" found in "+this.journalNS);
+                return 5;
+            }
+        }
+
+        var problems = this.checkPlan(plan, resumeRun);
+        if (problems.length){
+            print_ts("Plan "+plan._id+" no longer applies, not executing it:");
+            for (var i = 0; i < problems.length; i++){
+                print_ts("  "+problems[i]);
+            }
+            if (resumeRun){
+                this.abortRun(resumeRun, "plan no longer applies");
+            }
+            return 6;
+        }
+        // the window is when to execute the plan, so one set since it was
+        // made takes precedence; the settings before are back afterwards
+        var previousSettings = this.getSettings();
+        this.applySettings(plan.settings);
+        if (previousSettings._window){
+            this._window = previousSettings._window;
+        }
+        try {
+            return this.executeOperations(plan, resumeRun);
+        } finally {
+            this.applySettings(previousSettings);
+        }
+    },
+
+    // Do the operations of a plan, journaled, with its settings applied
+    executeOperations: function(plan, resumeRun){
+        print_ts("Executing plan "+plan._id+": "+plan.splits+" splits and "+plan.moves+" moves of "+plan.chunks.length+" chunks");
+        print_ts("You have 5 seconds to Ctrl-C");
+        sleep(5000);
+
+        print_ts("Disabling balancer");
+        assert.eq(this.disableBalancer(),1);
+
+        // chunks left to process, by id
+        var chunks = this.startJournal(plan.chunks, resumeRun, plan);
+        var left = {};
+        for (var chunki = 0; chunki < chunks.length; chunki++){
+            left[""+chunks[chunki].id] = chunks[chunki];
+        }
+
+        var chunk = null;
+        var skip = false;
+        for (var opi = 0; opi < plan.operations.length; opi++){
+            var op = plan.operations[opi];
+            if (! ((""+op.chunk) in left)){
+                continue;
+            }
+            if (! chunk || ((""+chunk.id) != (""+op.chunk))){
+                if (chunk){
+                    this.journalChunk(chunk, skip ? "failed" : "done");
+                    print_ts("Sleeping for "+this.sleep+" millis before starting chunk");
+                    sleep(this.sleep);
+                }
+                chunk = left[""+op.chunk];
+                skip = false;
+                print_ts("Chunk {_id:'"+chunk.id+"'}");
+            }
+            // as in run, a failed split or move skips the rest of the chunk
+            if (skip){
+                continue;
+            }
+
+            if (op.op == "split"){
+                if (this.verbose){
+                    print_ts("Splitting at");
+                    printjson(op.key);
+                } else {
+                    print_ts("Splitting");
+                }
+                var res = this.journaledSplitChunk(chunk, op.key);
+            } else {
+                if (this.verbose){
+                    print_ts("Moving chunk at");
+                    printjson(op.find);
+                    print_ts("to "+op.destination);
+                } else {
+                    print_ts("Moving to "+op.destination);
+                }
+                var res = this.journaledMoveChunk(chunk, op.find, op.destination);
+            }
+            if (! res){
+                skip = true;
+            }
+        }
+
+        if (chunk){
+            this.journalChunk(chunk, skip ? "failed" : "done");
+        }
+        this.endJournal();
+        return 0;
+    },
+
     help: function(){
         print("");
         print("Balancer.setNamespace(string)      # only consider chunks in this namespace; default is all namespaces");
@@ -947,6 +1669,12 @@ var Balancer = {
         print("");
         print("Balancer.setSecondaryThrottle(bool)# secondaryThrottle for chunk moves; system default by default");
         print("Balancer.setWaitForDelete(bool)    # secondaryThrottle for chunk moves; system default by default");
+        print("Balancer.setWindow(start, end, [days], [utcOffset])");
+        print("                                   # only split and move chunks between start and end inclusive, 'HH:MM' as the");
+        print("                                     balancer activeWindow; days the window starts on, e.g. ['Sat','Sun'],");
+        print("                                     default is every day. A run pauses outside the window; null start unsets it.");
+        print("                                     Times are in the shell's LOCAL time unless utcOffset ('+HH:MM' or minutes)");
+        print("                                     is given; the balancer uses the time zone of the config server primary");
         print("");
         print("Balancer.global.auth('user','pwd') # global auth parameters; note that user must have clusterAdmin role");
         print("Balancer.shard.auth('shard','user','pwd')");
@@ -957,6 +1685,18 @@ var Balancer = {
         print("Balancer.run()                     # do the work; if Balancer.ready() is called immediately before this");
         print("                                     the run will be REAL. Otherwise, it will be a test run.");
         print("");
+        print("Balancer.setJournal(string)        # namespace real runs record their splits and moves in;");
+        print("                                     default is balancerjs.journal");
+        print("Balancer.resume()                  # pick up the last real run that did not complete, with its settings,");
+        print("                                     without redoing the splits and moves it already did. The run is REAL.");
+        print("Balancer.abandon()                 # mark the last real run that did not complete as aborted, so that");
+        print("                                     resume() no longer picks it up");
+        print("");
+        print("Balancer.plan()                    # return the splits and moves a run would do, without doing them;");
+        print("                                     the plan is saved in the journal for review");
+        print("Balancer.execute(plan)             # do exactly the splits and moves of a plan, or of the plan with this _id,");
+        print("                                     if config.chunks still matches it. The execution is REAL.");
+        print("");
     }
 }
 
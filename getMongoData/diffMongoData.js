@@ -0,0 +1,416 @@
+/* global load, print, printjson, readReport, reportDocs, reportOutput, stringifyExtendedJSON */
+
+/* ===============================================================
+ * diffMongoData.js: Compare two MongoDB Config and Schema Reports
+ * ===============================================================
+ *
+ * Copyright MongoDB, Inc, 2015
+ *
+ * Compare two getMongoData.js reports taken with _printJSON, _printNDJSON
+ * or _bundle set, for example before and after an upgrade, and report what
+ * changed.
+ *
+ * To compare two saved reports, run:
+ *
+ *     mongo --quiet --norc --nodb --eval "var _before='before.json'; var _after='after.json'" diffMongoData.js
+ *
+ * Loading the script without _before and _after set only defines
+ * diffMongoData(beforeDocs, afterDocs), which returns the structured diff.
+ *
+ * For details, see
+ * https://github.com/mongodb/support-tools/tree/master/getMongoData.
+ *
+ *
+ * DISCLAIMER
+ *
+ * Please note: all tools/ scripts in this repo are released for use "AS
+ * IS" without any warranties of any kind, including, but not limited to
+ * their installation, use, or performance. We disclaim any and all
+ * warranties, either express or implied, including but not limited to
+ * any warranty of noninfringement, merchantability, and/ or fitness for
+ * a particular purpose. We do not warrant that the technology will
+ * meet your requirements, that the operation thereof will be
+ * uninterrupted or error-free, or that any errors will be corrected.
+ *
+ * Any use of these scripts and tools is at your own risk. There is no
+ * guarantee that they have been through thorough testing in a
+ * comparable environment and we are not responsible for any damage
+ * or data loss incurred with their use.
+ *
+ * You are responsible for reviewing and testing any scripts you run
+ * thoroughly before use in any non-testing environment.
+ *
+ *
+ * LICENSE
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// The report loader and the section helpers (readReport, reportDocs,
+// reportOutput) are those of getMongoData.js, loaded without collecting
+// anything; set _getMongoData to its path when it is not in the current
+// directory
+if (typeof _getMongoData === "undefined") var _getMongoData = "getMongoData.js";
+var _loadOnly = true;
+load(_getMongoData);
+
+function sameValue(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// Flatten nested documents into {"a.b.c": value}; arrays are kept as values
+function flatten(obj, prefix, into) {
+    into = into || {};
+    prefix = prefix || "";
+    for (var k in obj) {
+        if (! obj.hasOwnProperty(k)) continue;
+        var v = obj[k];
+        if (v !== null && typeof v === "object" && ! (v instanceof Array) && ! isExtendedJSON(v)) {
+            flatten(v, prefix + k + ".", into);
+        } else {
+            into[prefix + k] = v;
+        }
+    }
+    return into;
+}
+
+// Whether a document is an Extended JSON value such as {"$date": ...}
+function isExtendedJSON(v) {
+    var keys = Object.keys(v);
+    return keys.length > 0 && keys[0][0] == "$";
+}
+
+// Diff two lists of names
+function diffNames(before, after) {
+    return {
+        'added': after.filter(function(n) { return before.indexOf(n) < 0; }),
+        'removed': before.filter(function(n) { return after.indexOf(n) < 0; })
+    };
+}
+
+// Diff two {key: value} maps
+function diffMaps(before, after) {
+    var diff = {'added': {}, 'removed': {}, 'changed': {}};
+    for (var k in after) {
+        if (! (k in before)) {
+            diff.added[k] = after[k];
+        } else if (! sameValue(before[k], after[k])) {
+            diff.changed[k] = {'before': before[k], 'after': after[k]};
+        }
+    }
+    for (var k in before) {
+        if (! (k in after)) diff.removed[k] = before[k];
+    }
+    return diff;
+}
+
+// Fields of command replies that change on every run
+var _replyFields = ["ok", "operationTime", "$clusterTime", "$gleStats", "lastCommittedOpTime",
+                    "$configServerState"];
+
+function withoutReplyFields(doc) {
+    var ret = {};
+    for (var k in doc) {
+        if (doc.hasOwnProperty(k) && _replyFields.indexOf(k) < 0) ret[k] = doc[k];
+    }
+    return ret;
+}
+
+function databaseNames(docs) {
+    var dbs = reportOutput(docs, "data_info", "list_of_databases");
+    if (! dbs || ! dbs.databases) return null;
+    return dbs.databases.map(function(d) { return d.name; }).sort();
+}
+
+function collectionNamespaces(docs) {
+    var found = docs.filter(function(doc) {
+        return doc.section == "data_info" && /^list_of_collections_for_database_/.test(doc.subsection) &&
+            doc.output instanceof Array;
+    });
+    if (! found.length) return null;
+    var ret = [];
+    found.forEach(function(doc) {
+        // reports before database/collection were recorded only have the subsection
+        var dbName = doc.database || /^list_of_collections_for_database_'(.*)'$/.exec(doc.subsection)[1];
+        doc.output.forEach(function(col) { ret.push(dbName + "." + col); });
+    });
+    return ret.sort();
+}
+
+// {ns: {indexName: index spec}}
+function indexesByNamespace(docs) {
+    var found = reportDocs(docs, "data_info", "indexes");
+    if (! found.length) return null;
+    var ret = {};
+    found.forEach(function(doc) {
+        if (! (doc.output instanceof Array)) return;
+        var ns = (doc.database ? doc.database + "." + doc.collection : (doc.output.length ? doc.output[0].ns : null));
+        if (! ns) return;
+        ret[ns] = {};
+        doc.output.forEach(function(index) {
+            var spec = {};
+            for (var k in index) {
+                if (index.hasOwnProperty(k) && k != "ns" && k != "name") spec[k] = index[k];
+            }
+            ret[ns][index.name] = spec;
+        });
+    });
+    return ret;
+}
+
+function diffIndexes(before, after) {
+    var diff = {'added': [], 'removed': [], 'changed': []};
+    for (var ns in after) {
+        // indexes of new collections are reported with the collections
+        if (! (ns in before)) continue;
+        var d = diffMaps(before[ns], after[ns]);
+        for (var name in d.added) diff.added.push({'ns': ns, 'name': name, 'key': d.added[name].key});
+        for (var name in d.removed) diff.removed.push({'ns': ns, 'name': name, 'key': d.removed[name].key});
+        for (var name in d.changed) {
+            diff.changed.push({'ns': ns, 'name': name, 'before': d.changed[name].before, 'after': d.changed[name].after});
+        }
+    }
+    return diff;
+}
+
+// Replica set member settings worth comparing, keyed by host
+function replicaSetMembers(conf) {
+    var ret = {};
+    conf.members.forEach(function(member) {
+        var m = {};
+        for (var k in member) {
+            if (member.hasOwnProperty(k) && k != "host") m[k] = member[k];
+        }
+        ret[member.host] = m;
+    });
+    return ret;
+}
+
+function diffReplicaSet(before, after) {
+    var confBefore = reportOutput(before, "replicaset_info", "replica_set_config");
+    var confAfter = reportOutput(after, "replicaset_info", "replica_set_config");
+    if (! confBefore || ! confAfter || ! confBefore.members || ! confAfter.members) return null;
+
+    var membersBefore = replicaSetMembers(confBefore);
+    var membersAfter = replicaSetMembers(confAfter);
+    var members = diffNames(Object.keys(membersBefore), Object.keys(membersAfter));
+    var diff = {
+        'name': {'before': confBefore._id, 'after': confAfter._id},
+        'version': {'before': confBefore.version, 'after': confAfter.version},
+        'membersAdded': members.added,
+        'membersRemoved': members.removed,
+        'membersChanged': [],
+        'settings': diffMaps(flatten(confBefore.settings || {}), flatten(confAfter.settings || {})),
+        'stateChanged': []
+    };
+    ['protocolVersion', 'configsvr', 'writeConcernMajorityJournalDefault'].forEach(function(k) {
+        if (! sameValue(confBefore[k], confAfter[k])) {
+            diff[k] = {'before': confBefore[k], 'after': confAfter[k]};
+        }
+    });
+    for (var host in membersAfter) {
+        if (! (host in membersBefore)) continue;
+        var d = diffMaps(flatten(membersBefore[host]), flatten(membersAfter[host]));
+        if (Object.keys(d.added).length || Object.keys(d.removed).length || Object.keys(d.changed).length) {
+            diff.membersChanged.push({'host': host, 'changes': d});
+        }
+    }
+
+    var statusBefore = reportOutput(before, "replicaset_info", "replica_status");
+    var statusAfter = reportOutput(after, "replicaset_info", "replica_status");
+    if (statusBefore && statusAfter && statusBefore.members && statusAfter.members) {
+        var states = {};
+        statusBefore.members.forEach(function(m) { states[m.name] = m.stateStr; });
+        statusAfter.members.forEach(function(m) {
+            if (m.name in states && states[m.name] != m.stateStr) {
+                diff.stateChanged.push({'host': m.name, 'before': states[m.name], 'after': m.stateStr});
+            }
+        });
+    }
+    return diff;
+}
+
+// {ns: {key: shard key, distribution: {shard: nChunks}}}
+function shardedCollections(docs) {
+    var dbs = reportOutput(docs, "shard_info", "sharded_databases");
+    if (! dbs) return null;
+    var ret = {};
+    dbs.forEach(function(dbDoc) {
+        (dbDoc.collections || []).forEach(function(coll) {
+            if (! coll || ! coll._id) return;
+            var dist = {};
+            (coll.distribution || []).forEach(function(d) { dist[d.shard] = d.nChunks; });
+            ret[coll._id] = {'key': coll.key, 'distribution': dist};
+        });
+    });
+    return ret;
+}
+
+function diffSharding(before, after) {
+    var shardsBefore = reportOutput(before, "shard_info", "shards");
+    var shardsAfter = reportOutput(after, "shard_info", "shards");
+    var collsBefore = shardedCollections(before);
+    var collsAfter = shardedCollections(after);
+    if (! shardsBefore && ! shardsAfter && ! collsBefore && ! collsAfter) return null;
+
+    var diff = {};
+    if (shardsBefore && shardsAfter) {
+        var hostsBefore = {}, hostsAfter = {};
+        shardsBefore.forEach(function(s) { hostsBefore[s._id] = s.host; });
+        shardsAfter.forEach(function(s) { hostsAfter[s._id] = s.host; });
+        diff['shards'] = diffMaps(hostsBefore, hostsAfter);
+    }
+    if (collsBefore && collsAfter) {
+        var names = diffNames(Object.keys(collsBefore), Object.keys(collsAfter));
+        diff['collectionsSharded'] = names.added;
+        diff['collectionsUnsharded'] = names.removed;
+        diff['shardKeyChanged'] = [];
+        diff['chunkDistribution'] = [];
+        for (var ns in collsAfter) {
+            if (! (ns in collsBefore)) continue;
+            if (! sameValue(collsBefore[ns].key, collsAfter[ns].key)) {
+                diff.shardKeyChanged.push({'ns': ns, 'before': collsBefore[ns].key, 'after': collsAfter[ns].key});
+            }
+            var distBefore = collsBefore[ns].distribution;
+            var distAfter = collsAfter[ns].distribution;
+            var shards = Object.keys(distBefore).concat(Object.keys(distAfter).filter(function(s) {
+                return ! (s in distBefore);
+            }));
+            shards.forEach(function(shard) {
+                var nBefore = distBefore[shard] || 0;
+                var nAfter = distAfter[shard] || 0;
+                if (nBefore != nAfter) {
+                    diff.chunkDistribution.push({'ns': ns, 'shard': shard, 'before': nBefore,
+                                                 'after': nAfter, 'delta': nAfter - nBefore});
+                }
+            });
+        }
+    }
+    return diff;
+}
+
+function reportInfo(docs) {
+    var first = docs.length ? docs[0] : {};
+    var build = reportOutput(docs, "server_info", "server_build_info");
+    return {
+        'tag': first.tag,
+        'ref': first.ref,
+        'host': first.host,
+        'scriptVersion': first.version,
+        'serverVersion': (build ? build.version : null),
+        'start': (first.ts ? first.ts.start : null)
+    };
+}
+
+// Compare two getMongoData.js JSON reports (arrays of printInfo docs). Parts
+// of the diff are null when either report did not collect the information.
+function diffMongoData(before, after) {
+    var diff = {'before': reportInfo(before), 'after': reportInfo(after)};
+
+    var dbsBefore = databaseNames(before), dbsAfter = databaseNames(after);
+    diff['databases'] = (dbsBefore && dbsAfter ? diffNames(dbsBefore, dbsAfter) : null);
+
+    var collsBefore = collectionNamespaces(before), collsAfter = collectionNamespaces(after);
+    diff['collections'] = (collsBefore && collsAfter ? diffNames(collsBefore, collsAfter) : null);
+
+    var indexesBefore = indexesByNamespace(before), indexesAfter = indexesByNamespace(after);
+    diff['indexes'] = (indexesBefore && indexesAfter ? diffIndexes(indexesBefore, indexesAfter) : null);
+
+    var paramsBefore = reportOutput(before, "server_info", "server_parameters");
+    var paramsAfter = reportOutput(after, "server_info", "server_parameters");
+    diff['serverParameters'] = (paramsBefore && paramsAfter ?
+        diffMaps(flatten(withoutReplyFields(paramsBefore)), flatten(withoutReplyFields(paramsAfter))) : null);
+
+    var optsBefore = reportOutput(before, "server_info", "command_line_info");
+    var optsAfter = reportOutput(after, "server_info", "command_line_info");
+    diff['commandLineOptions'] = (optsBefore && optsAfter ?
+        diffMaps(flatten(optsBefore.parsed || {}), flatten(optsAfter.parsed || {})) : null);
+
+    diff['replicaSet'] = diffReplicaSet(before, after);
+    diff['sharding'] = diffSharding(before, after);
+    return diff;
+}
+
+function printMapDiff(title, d) {
+    if (! d) return;
+    for (var k in d.added) print("+ " + title + " " + k + ": " + stringifyExtendedJSON(d.added[k]));
+    for (var k in d.removed) print("- " + title + " " + k + ": " + stringifyExtendedJSON(d.removed[k]));
+    for (var k in d.changed) {
+        print("~ " + title + " " + k + ": " + stringifyExtendedJSON(d.changed[k].before) + " -> " + stringifyExtendedJSON(d.changed[k].after));
+    }
+}
+
+function printNamesDiff(title, d) {
+    if (! d) return;
+    d.added.forEach(function(n) { print("+ " + title + " " + n); });
+    d.removed.forEach(function(n) { print("- " + title + " " + n); });
+}
+
+// Human readable summary of a diff; "+" added, "-" removed, "~" changed
+function printMongoDataDiff(diff) {
+    print("================================");
+    print("MongoDB Config and Schema Report Diff");
+    print("================================");
+    print("before: " + stringifyExtendedJSON(diff.before));
+    print("after:  " + stringifyExtendedJSON(diff.after));
+    if (diff.before.serverVersion != diff.after.serverVersion) {
+        print("~ server version: " + diff.before.serverVersion + " -> " + diff.after.serverVersion);
+    }
+    printNamesDiff("database", diff.databases);
+    printNamesDiff("collection", diff.collections);
+    if (diff.indexes) {
+        diff.indexes.added.forEach(function(i) { print("+ index " + i.ns + " " + i.name + " " + stringifyExtendedJSON(i.key)); });
+        diff.indexes.removed.forEach(function(i) { print("- index " + i.ns + " " + i.name + " " + stringifyExtendedJSON(i.key)); });
+        diff.indexes.changed.forEach(function(i) {
+            print("~ index " + i.ns + " " + i.name + ": " + stringifyExtendedJSON(i.before) + " -> " + stringifyExtendedJSON(i.after));
+        });
+    }
+    printMapDiff("server parameter", diff.serverParameters);
+    printMapDiff("command line option", diff.commandLineOptions);
+    var rs = diff.replicaSet;
+    if (rs) {
+        if (rs.version.before != rs.version.after) {
+            print("~ replica set config version: " + rs.version.before + " -> " + rs.version.after);
+        }
+        rs.membersAdded.forEach(function(h) { print("+ replica set member " + h); });
+        rs.membersRemoved.forEach(function(h) { print("- replica set member " + h); });
+        rs.membersChanged.forEach(function(m) { printMapDiff("replica set member " + m.host, m.changes); });
+        printMapDiff("replica set setting", rs.settings);
+        rs.stateChanged.forEach(function(m) {
+            print("~ replica set member " + m.host + " state: " + m.before + " -> " + m.after);
+        });
+    }
+    var sharding = diff.sharding;
+    if (sharding) {
+        printMapDiff("shard", sharding.shards);
+        (sharding.collectionsSharded || []).forEach(function(ns) { print("+ sharded collection " + ns); });
+        (sharding.collectionsUnsharded || []).forEach(function(ns) { print("- sharded collection " + ns); });
+        (sharding.shardKeyChanged || []).forEach(function(c) {
+            print("~ shard key " + c.ns + ": " + stringifyExtendedJSON(c.before) + " -> " + stringifyExtendedJSON(c.after));
+        });
+        (sharding.chunkDistribution || []).forEach(function(c) {
+            print("~ chunks " + c.ns + " on " + c.shard + ": " + c.before + " -> " + c.after +
+                  " (" + (c.delta > 0 ? "+" : "") + c.delta + ")");
+        });
+    }
+}
+
+if (typeof _printJSON === "undefined") var _printJSON = false;
+if (typeof _before !== "undefined" && typeof _after !== "undefined") {
+    var _diff = diffMongoData(readReport(_before), readReport(_after));
+    if (_printJSON) {
+        print(JSON.stringify(_diff, null, 4));
+    } else {
+        printMongoDataDiff(_diff);
+    }
+}
@@ -62,8 +62,14 @@ var _version = "2.6.0";
    "use strict";
 }());
 
-// For MongoDB 2.4 and before
-if (DB.prototype.getUsers == null) {
+// mongosh runs on Node.js and provides the EJSON global, the legacy mongo
+// shell has neither; a process object alone (e.g. set by a loaded script)
+// is not enough
+var _isMongosh = (typeof EJSON !== "undefined" && typeof process !== "undefined" &&
+                  process.versions != null && process.versions.node != null);
+
+// For MongoDB 2.4 and before (mongosh has no DB global)
+if (typeof DB !== "undefined" && DB.prototype.getUsers == null) {
     DB.prototype.getUsers = function (args) {
         var cmdObj = {usersInfo: 1};
         Object.extend(cmdObj, args);
@@ -82,7 +88,7 @@ if (DB.prototype.getUsers == null) {
 }
 
 // For MongoDB 2.4 and before
-if (DB.prototype.getRoles == null) {
+if (typeof DB !== "undefined" && DB.prototype.getRoles == null) {
     DB.prototype.getRoles = function (args) {
         return "No custom roles";
     }
@@ -108,10 +114,80 @@ if (typeof print.captureAllOutput === "undefined") {
     };
 }
 
+// mongosh helpers return their result instead of printing it, so turn the
+// result into lines as the legacy shell helper would have printed them
+function shellResultLines(value, indent) {
+    indent = indent || "";
+    if (value === null || typeof value !== "object") return [indent + value];
+    var lines = [];
+    Object.keys(value).forEach(function(k) {
+        var v = value[k];
+        if (bsonType(v) == "object") {
+            lines.push(indent + k);
+            lines = lines.concat(shellResultLines(v, indent + " "));
+        } else {
+            lines.push(indent + k + " : " + (bsonType(v) == "array" ? JSON.stringify(v) : String(v)));
+        }
+    });
+    return lines;
+}
+
+// Capture what a shell helper prints, as {output: [lines]}
+function captureOutput(fn) {
+    if (! _isMongosh) return print.captureAllOutput(fn);
+    var res = fn();
+    return {'output': shellResultLines(res && res.value !== undefined ? res.value : res)};
+}
+
+// mongosh throws on commands that fail, the legacy shell returns the reply
+function runCommandReply(theDB, cmdObj) {
+    try {
+        return theDB.runCommand(cmdObj);
+    } catch(err) {
+        if (! _isMongosh || err.code === undefined) throw err;
+        var res = {'ok': 0, 'errmsg': err.message, 'code': err.code, 'codeName': err.codeName};
+        if (err.info !== undefined) res['info'] = err.info;
+        return res;
+    }
+}
+
+// rs.status() without mongosh throwing when not running with --replSet
+function replicaSetStatus() {
+    return runCommandReply(db.getSiblingDB("admin"), {'replSetGetStatus': 1});
+}
+
+// mongosh returns the whole usersInfo/rolesInfo reply, the legacy shell the array
+function replyArray(res, field) {
+    return (res && res[field] instanceof Array ? res[field] : res);
+}
+
+// Allow reads on a secondary (rs.slaveOk() in the legacy shell)
+function allowSecondaryReads(conn) {
+    if (_isMongosh) {
+        conn.setReadPref("primaryPreferred");
+    } else if (typeof conn.setSecondaryOk === "function") {
+        conn.setSecondaryOk();
+    } else {
+        conn.setSlaveOk();
+    }
+}
+
+function shellHostname() {
+    return (typeof hostname === "function" ? hostname() : require("os").hostname());
+}
+
+// Taken from the legacy shell, missing from mongosh
+if (typeof RegExp.escape !== "function") {
+    RegExp.escape = function(text) {
+        return text.replace(/[-[\]{}()*+?.,\\^$|#\s]/g, "\\$&");
+    };
+}
+
 // Convert NumberLongs to strings to save precision
 function longmangle(n) {
-    if (! n instanceof NumberLong)
+    if (bsonType(n) != "long")
         return null;
+    // "NumberLong(1)" or "NumberLong("1")" in the legacy shell, "1" in mongosh
     var s = n.toString();
     s = s.replace("NumberLong(","").replace(")","");
     if (s[0] == '"')
@@ -119,26 +195,773 @@ function longmangle(n) {
     return s;
 }
 
-// For use in JSON.stringify to properly serialize known types
-function jsonStringifyReplacer(k, v){
-    if (v instanceof ObjectId)
-        return { "$oid" : v.valueOf() };
-    if (v instanceof NumberLong)
-        return { "$numberLong" : longmangle(v) };
-    if (v instanceof NumberInt)
-        return v.toNumber();
-    // For ISODates; the $ check prevents recursion
-    if (typeof v === "string" && k.startsWith('$') == false){
-        try {
-            iso = ISODate(v);
-            return { "$date" : iso.valueOf() };
+// Largest integer a double holds exactly (Number.MAX_SAFE_INTEGER)
+var _maxSafeInteger = 9007199254740991;
+
+// Canonical Extended JSON string of a double: always a decimal point or exponent
+function canonicalDouble(n) {
+    if (isNaN(n)) return "NaN";
+    if (n === Infinity) return "Infinity";
+    if (n === -Infinity) return "-Infinity";
+    if (n === 0 && 1 / n < 0) return "-0.0";
+    var s = String(n);
+    return (/[.eE]/.test(s) ? s : s + ".0");
+}
+
+// "NumberDecimal("1.5")" in the legacy shell, "1.5" in mongosh
+function decimalString(v) {
+    return v.toString().replace(/^NumberDecimal\("?/, "").replace(/"?\)$/, "");
+}
+
+// Convert a shell value to its Extended JSON v2 form, canonical or relaxed
+// (https://github.com/mongodb/specifications/blob/master/source/extended-json.rst),
+// handling both the legacy shell and the mongosh (js-bson) types. The legacy
+// format, which is not v2, keeps the shape of the earlier output of the
+// script: every NumberLong as {"$numberLong": "..."} and dates as {"$date": <ms>}
+function toExtendedJSON(v, format) {
+    var canonical = (format == "canonical");
+    switch (bsonType(v)) {
+        case "null":
+            return null;
+        case "undefined":
+            return {"$undefined": true};
+        case "string":
+            return (typeof v === "string" ? v : {"$symbol": v.valueOf()});
+        case "bool":
+            return v;
+        case "number":
+        case "double":
+            var n = (typeof v === "number" ? v : v.valueOf());
+            if (! canonical && isFinite(n) && !(n === 0 && 1 / n < 0)) return n;
+            return {"$numberDouble": canonicalDouble(n)};
+        case "int":
+            var i = (typeof v.toNumber === "function" ? v.toNumber() : v.valueOf());
+            return (canonical ? {"$numberInt": String(i)} : i);
+        case "long":
+            var l = longmangle(v);
+            // relaxed format only when no precision is lost
+            if (format == "relaxed" && Math.abs(Number(l)) <= _maxSafeInteger) return Number(l);
+            return {"$numberLong": l};
+        case "decimal":
+            return {"$numberDecimal": decimalString(v)};
+        case "objectId":
+            return {"$oid": (v.str !== undefined ? v.str : v.toHexString())};
+        case "date":
+            var ms = v.getTime();
+            if (isNaN(ms)) return null;
+            if (format == "legacy") return {"$date": ms};
+            if (! canonical && ms >= 0 && ms <= 253402300799999) return {"$date": v.toISOString()};
+            return {"$date": {"$numberLong": String(ms)}};
+        case "timestamp":
+            return {"$timestamp": {
+                't': (v.t !== undefined ? v.t : v.getHighBits()) >>> 0,
+                'i': (v.i !== undefined ? v.i : v.getLowBits()) >>> 0
+            }};
+        case "binData":
+            var subType = (typeof v.subtype === "function" ? v.subtype() : v.sub_type);
+            return {"$binary": {
+                'base64': (typeof v.base64 === "function" ? v.base64() : v.toString("base64")),
+                'subType': (subType < 16 ? "0" : "") + subType.toString(16)
+            }};
+        case "regex":
+            var pattern = (v instanceof RegExp ? v.source : v.pattern);
+            // BSON regex options are sorted, and JS only flags (g, y) have no BSON equivalent
+            var options = (v instanceof RegExp ? v.flags || String(v).slice(String(v).lastIndexOf("/") + 1) : v.options);
+            options = options.split("").filter(function(o) { return "ilmsux".indexOf(o) >= 0; }).sort().join("");
+            return {"$regularExpression": {'pattern': pattern, 'options': options}};
+        case "dbRef":
+            var ref = {};
+            ref["$ref"] = (v.collection !== undefined ? v.collection : v["$ref"]);
+            ref["$id"] = toExtendedJSON(v.oid !== undefined ? v.oid : v["$id"], format);
+            var refDB = (v.db !== undefined ? v.db : v["$db"]);
+            if (refDB) ref["$db"] = refDB;
+            return ref;
+        case "javascript":
+            var code = {"$code": (typeof v === "function" ? v.toString() : v.code)};
+            if (typeof v !== "function" && v.scope) code["$scope"] = toExtendedJSON(v.scope, format);
+            return code;
+        case "minKey":
+            return {"$minKey": 1};
+        case "maxKey":
+            return {"$maxKey": 1};
+        case "array":
+            return v.map(function(e) {
+                return (e === undefined ? null : toExtendedJSON(e, format));
+            });
+    }
+    var doc = {};
+    Object.keys(v).forEach(function(k) {
+        if (v[k] !== undefined) doc[k] = toExtendedJSON(v[k], format);
+    });
+    return doc;
+}
+
+// Extended JSON text of a value, in the format chosen by _jsonFormat
+function stringifyExtendedJSON(v, indent) {
+    return JSON.stringify(toExtendedJSON(v, _jsonFormat), null, indent);
+}
+
+// Convert a value parsed from Extended JSON (v2, or the v1 the legacy shell
+// writes) back to the shell's own types, so that a saved report reads like
+// the results of the commands it was collected from
+function fromExtendedJSON(v) {
+    if (v === null || typeof v !== "object") return v;
+    if (v instanceof Array) return v.map(fromExtendedJSON);
+    var keys = Object.keys(v);
+    if (keys.length && keys[0][0] == "$") {
+        if ("$oid" in v) return ObjectId(v.$oid);
+        if ("$numberInt" in v) return NumberInt(v.$numberInt);
+        if ("$numberLong" in v) return NumberLong(v.$numberLong);
+        if ("$numberDouble" in v) return Number(v.$numberDouble);
+        if ("$numberDecimal" in v && typeof NumberDecimal !== "undefined") return NumberDecimal(v.$numberDecimal);
+        if ("$date" in v) {
+            var date = v.$date;
+            return new Date(typeof date === "object" ? Number(date.$numberLong) : date);
+        }
+        if ("$timestamp" in v) {
+            return (_isMongosh ? Timestamp({'t': v.$timestamp.t, 'i': v.$timestamp.i}) : Timestamp(v.$timestamp.t, v.$timestamp.i));
+        }
+        if ("$binary" in v) {
+            var bin = (typeof v.$binary === "object" ? v.$binary : {'base64': v.$binary, 'subType': v.$type});
+            return BinData(parseInt(bin.subType, 16), bin.base64);
+        }
+        if ("$regularExpression" in v) return new RegExp(v.$regularExpression.pattern, v.$regularExpression.options);
+        if ("$minKey" in v) return MinKey;
+        if ("$maxKey" in v) return MaxKey;
+        if ("$undefined" in v) return undefined;
+        if ("$symbol" in v) return v.$symbol;
+    }
+    var doc = {};
+    keys.forEach(function(k) {
+        doc[k] = fromExtendedJSON(v[k]);
+    });
+    return doc;
+}
+
+// BSON type names of the mongosh (js-bson) value classes
+var _bsonTypeNames = {
+    'ObjectId': "objectId", 'ObjectID': "objectId", 'Long': "long", 'Int32': "int", 'Double': "double",
+    'Decimal128': "decimal", 'Timestamp': "timestamp", 'Binary': "binData", 'DBRef': "dbRef",
+    'Code': "javascript", 'MinKey': "minKey", 'MaxKey': "maxKey", 'BSONRegExp': "regex", 'BSONSymbol': "string"
+};
+
+// Name of the BSON type of a value as returned by the shell
+function bsonType(v) {
+    if (v === null) return "null";
+    if (typeof v === "object" && _bsonTypeNames.hasOwnProperty(v._bsontype)) return _bsonTypeNames[v._bsontype];
+    if (v === undefined) return "undefined";
+    if (typeof v === "string") return "string";
+    if (typeof v === "boolean") return "bool";
+    // plain numbers may be int32s or doubles, the shell does not tell
+    if (typeof v === "number") return "number";
+    if (v instanceof Array) return "array";
+    if (v instanceof Date) return "date";
+    if (v instanceof RegExp) return "regex";
+    if (v instanceof ObjectId) return "objectId";
+    if (v instanceof NumberLong) return "long";
+    if (v instanceof NumberInt) return "int";
+    if (typeof NumberDecimal !== "undefined" && v instanceof NumberDecimal) return "decimal";
+    if (v instanceof Timestamp) return "timestamp";
+    if (v instanceof BinData) return "binData";
+    if (typeof DBRef !== "undefined" && v instanceof DBRef) return "dbRef";
+    if (typeof Code !== "undefined" && v instanceof Code) return "javascript";
+    // MinKey and MaxKey are used as values themselves too
+    if (typeof MinKey !== "undefined" && (v === MinKey || v instanceof MinKey)) return "minKey";
+    if (typeof MaxKey !== "undefined" && (v === MaxKey || v instanceof MaxKey)) return "maxKey";
+    if (typeof v === "function") return "javascript";
+    return "object";
+}
+
+// Plain number of a numeric shell value; mongosh's Long has no valueOf() to
+// do arithmetic with
+function numberValue(v) {
+    switch (bsonType(v)) {
+        case "long":    return Number(longmangle(v));
+        case "int":     return (typeof v.toNumber === "function" ? v.toNumber() : v.valueOf());
+        case "double":  return Number(v.valueOf());
+        case "number":  return v;
+        case "decimal": return Number(decimalString(v));
+    }
+    return (typeof v === "number" ? v : NaN);
+}
+
+// Command line options and document fields holding credentials or key material
+var _redactKeyPattern = /pass(word|phrase)|keyfile|pemkey|secret|credentials|^pwd$|encryptionkey|token/i;
+// Document fields holding hostnames or "host:port" / "set/host:port,..." strings
+var _redactHostKeys = ["host", "hosts", "me", "primary", "passives", "arbiters", "syncingTo",
+                       "syncSourceHost", "hostname", "configsvrConnectionString", "configDB", "bindIp"];
+// Command line options taking hostnames, in their argv form
+var _redactHostArgs = ["configdb", "bind_ip"];
+// Hostnames already hashed, so that plain text output can be scrubbed too,
+// and the hashes themselves, so that they are not hashed again
+var _redactedHosts = {};
+var _hostHashes = {};
+
+// Replace a value with a placeholder of the same BSON type
+function redactValue(v) {
+    switch (bsonType(v)) {
+        case "null":
+        case "undefined":
+        case "minKey":
+        case "maxKey":
+            return v;
+        case "string":     return "<redacted>";
+        case "bool":       return false;
+        case "number":
+        case "double":     return 0;
+        case "date":       return new Date(0);
+        case "regex":      return /redacted/;
+        case "objectId":   return ObjectId("000000000000000000000000");
+        case "long":       return NumberLong(0);
+        case "int":        return NumberInt(0);
+        case "decimal":    return NumberDecimal("0");
+        case "timestamp":  return Timestamp(0, 0);
+        case "binData":    return BinData(typeof v.subtype === "function" ? v.subtype() : v.sub_type,
+                                          "AAAAAAAAAAAAAAAAAAAAAA==");
+        case "javascript": return (typeof Code !== "undefined" ? new Code("<redacted>") : function() {});
+        case "array":      return v.map(redactValue);
+        case "dbRef":
+            // the collection and database referred to are kept, not the _id
+            var refDB = (v.db !== undefined ? v.db : v["$db"]);
+            var ref = (v.collection !== undefined ? v.collection : v["$ref"]);
+            var id = redactValue(v.oid !== undefined ? v.oid : v["$id"]);
+            return (refDB ? new DBRef(ref, id, refDB) : new DBRef(ref, id));
+        case "object":
+            var doc = {};
+            for (var k in v) {
+                if (v.hasOwnProperty(k)) doc[k] = redactValue(v[k]);
+            }
+            return doc;
+    }
+    return v;
+}
+
+// 32-bit FNV-1a, used to hash hostnames without needing hex_md5
+function fnv1a(s) {
+    var h = 0x811c9dc5;
+    for (var i = 0; i < s.length; i++) {
+        h ^= s.charCodeAt(i);
+        h = Math.imul(h, 0x01000193) >>> 0;
+    }
+    return ("0000000" + h.toString(16)).slice(-8);
+}
+
+// Hash a bare hostname consistently for the whole report; _redactHostnames
+// may be a string, in which case it is used as a salt
+function redactHostname(name) {
+    if (name in _hostHashes) return name;
+    if (!(name in _redactedHosts)) {
+        var salt = (typeof _redactHostnames === "string" ? _redactHostnames : "");
+        _redactedHosts[name] = "host-" + fnv1a(salt + name);
+        _hostHashes[_redactedHosts[name]] = true;
+    }
+    return _redactedHosts[name];
+}
+
+// Hash the hosts in "host", "host:port" and "set/host:port,host:port" strings
+function redactHostString(s) {
+    if (typeof s !== "string") return s;
+    var prefix = "";
+    var slash = s.indexOf("/");
+    if (slash >= 0) {
+        prefix = s.slice(0, slash + 1);
+        s = s.slice(slash + 1);
+    }
+    return prefix + s.split(",").map(function(hostPort) {
+        var colon = hostPort.lastIndexOf(":");
+        if (colon > 0 && hostPort.indexOf("]") < colon) {
+            return redactHostname(hostPort.slice(0, colon)) + hostPort.slice(colon);
+        }
+        return redactHostname(hostPort);
+    }).join(",");
+}
+
+// Replace every hostname hashed so far when it appears in free text
+function redactHostText(s) {
+    Object.keys(_redactedHosts).sort(function(a, b) { return b.length - a.length; }).forEach(
+        function(name) {
+            s = s.split(name).join(_redactedHosts[name]);
+        }
+    );
+    return s;
+}
+
+// Error text of a failed command, with the hostnames hashed so far replaced
+function errorText(err) {
+    return (_redact && _redactHostnames ? redactHostText(String(err)) : String(err));
+}
+
+// Mask credential-bearing options in getCmdLineOpts output, both in the
+// "--opt value" / "--opt=value" forms of argv and in the parsed config, and
+// hash the hostnames of host options
+function redactCmdLineOpts(opts) {
+    if (!opts || !(opts.argv instanceof Array)) return opts;
+    var argv = [];
+    for (var i = 0; i < opts.argv.length; i++) {
+        var arg = opts.argv[i];
+        var name = arg.replace(/^-+/, "").split("=")[0];
+        var mask = null;
+        if (arg[0] == "-" && _redactKeyPattern.test(name)) {
+            mask = function() { return "<redacted>"; };
+        } else if (arg[0] == "-" && _redactHostnames && _redactHostArgs.indexOf(name.toLowerCase()) >= 0) {
+            mask = redactHostString;
+        }
+        if (mask) {
+            var eq = arg.indexOf("=");
+            if (eq >= 0) {
+                arg = arg.slice(0, eq + 1) + mask(arg.slice(eq + 1));
+            } else if (i + 1 < opts.argv.length && opts.argv[i + 1][0] != "-") {
+                argv.push(arg);
+                arg = mask(opts.argv[i + 1]);
+                i++;
+            }
+        }
+        argv.push(arg);
+    }
+    var doc = {};
+    for (var k in opts) {
+        if (opts.hasOwnProperty(k)) doc[k] = opts[k];
+    }
+    doc.argv = argv;
+    return doc;
+}
+
+// Replace every value of a user document (sample documents) and chunk and
+// tag range bounds, which hold shard key values
+function redactShardedDatabases(dbs) {
+    if (!(dbs instanceof Array)) return dbs;
+    return dbs.map(function(dbDoc) {
+        if (!(dbDoc.collections instanceof Array)) return dbDoc;
+        var doc = {};
+        for (var k in dbDoc) {
+            if (dbDoc.hasOwnProperty(k)) doc[k] = dbDoc[k];
+        }
+        doc.collections = dbDoc.collections.map(function(coll) {
+            var collDoc = {};
+            for (var k in coll) {
+                if (coll.hasOwnProperty(k)) collDoc[k] = coll[k];
+            }
+            ['chunks', 'tags'].forEach(function(field) {
+                if (coll[field] instanceof Array) collDoc[field] = coll[field].map(redactRange);
+            });
+            return collDoc;
+        });
+        return doc;
+    });
+}
+
+// Replace the shard key values of a chunk or tag range's bounds
+function redactRange(range) {
+    var rangeDoc = {};
+    for (var k in range) {
+        if (range.hasOwnProperty(k)) rangeDoc[k] = range[k];
+    }
+    rangeDoc.min = redactValue(range.min);
+    rangeDoc.max = redactValue(range.max);
+    return rangeDoc;
+}
+
+// Replace the range bounds of the gaps and overlaps of the metadata checks
+function redactShardingMetadata(result) {
+    if (! result) return result;
+    var redacted = {};
+    for (var k in result) {
+        if (result.hasOwnProperty(k)) redacted[k] = result[k];
+    }
+    ['chunkGaps', 'chunkOverlaps', 'tagOverlaps'].forEach(function(field) {
+        if (result[field] instanceof Array) redacted[field] = result[field].map(redactRange);
+    });
+    return redacted;
+}
+
+// Fields of a currentOp entry holding a command or query, whose predicates
+// may hold application data
+var _opCommandFields = ["command", "query", "originatingCommand", "updateobj"];
+
+// Mask the predicates of the commands of currentOp entries, keeping the
+// command name, namespace and other plain options
+function redactCurrentOps(result) {
+    if (! result || !(result.inprog instanceof Array)) return result;
+    var redacted = {};
+    for (var k in result) {
+        if (result.hasOwnProperty(k)) redacted[k] = result[k];
+    }
+    redacted.inprog = result.inprog.map(function(op) {
+        var opDoc = {};
+        for (var k in op) {
+            if (op.hasOwnProperty(k)) opDoc[k] = op[k];
+        }
+        var commands = [opDoc];
+        if (op.cursor) {
+            opDoc.cursor = {};
+            for (var k in op.cursor) {
+                if (op.cursor.hasOwnProperty(k)) opDoc.cursor[k] = op.cursor[k];
+            }
+            commands.push(opDoc.cursor);
+        }
+        commands.forEach(function(parent) {
+            _opCommandFields.forEach(function(field) {
+                var cmd = parent[field];
+                if (bsonType(cmd) != "object") return;
+                var cmdDoc = {};
+                for (var k in cmd) {
+                    if (! cmd.hasOwnProperty(k)) continue;
+                    var type = bsonType(cmd[k]);
+                    cmdDoc[k] = (type == "object" || type == "array" ? redactValue(cmd[k]) : cmd[k]);
+                }
+                parent[field] = cmdDoc;
+            });
+        });
+        return opDoc;
+    });
+    return redacted;
+}
+
+// Hash the addresses the server listens on and the audit log path of the
+// security checks
+function redactSecurityAudit(result) {
+    if (! _redactHostnames || ! result || !(result.checks instanceof Array)) return result;
+    var redacted = {};
+    for (var k in result) {
+        if (result.hasOwnProperty(k)) redacted[k] = result[k];
+    }
+    redacted.checks = result.checks.map(function(c) {
+        var checkDoc = {};
+        for (var k in c) {
+            if (c.hasOwnProperty(k)) checkDoc[k] = c[k];
+        }
+        if (typeof c.bindIp === "string") {
+            checkDoc.bindIp = redactHostString(c.bindIp);
+            checkDoc.detail = redactHostText(c.detail);
+        }
+        if (c.auditLog && typeof c.auditLog.path === "string") {
+            checkDoc.auditLog = {};
+            for (var k in c.auditLog) {
+                if (c.auditLog.hasOwnProperty(k)) checkDoc.auditLog[k] = c.auditLog[k];
+            }
+            checkDoc.auditLog.path = redactHostname(c.auditLog.path);
+        }
+        return checkDoc;
+    });
+    return redacted;
+}
+
+// Subsection specific redaction, applied before the generic pass below
+var _redactors = {
+    "data_info.sample_document":      redactValue,
+    "server_info.command_line_info":  redactCmdLineOpts,
+    "member_info.command_line_info":  redactCmdLineOpts,
+    "shard_info.sharded_databases":   redactShardedDatabases,
+    "shard_info.metadata_consistency": redactShardingMetadata,
+    "operation_info.current_operations": redactCurrentOps,
+    "security_info.security_audit":   redactSecurityAudit
+};
+
+// Walk a result masking credential fields and, if enabled, hashing hostnames
+function redactFields(v, key) {
+    if (_redactHostnames) {
+        if (typeof v === "string") {
+            if (_redactHostKeys.indexOf(key) >= 0) return redactHostString(v);
+            return redactHostText(v);
+        }
+        if (v instanceof Array && _redactHostKeys.indexOf(key) >= 0) {
+            return v.map(redactHostString);
+        }
+    }
+    var type = bsonType(v);
+    if (type == "array") {
+        return v.map(function(e) { return redactFields(e, key); });
+    }
+    if (type == "object") {
+        var doc = {};
+        for (var k in v) {
+            if (!v.hasOwnProperty(k)) continue;
+            if (_redactKeyPattern.test(k)) {
+                doc[k] = redactValue(v[k]);
+            } else {
+                doc[k] = redactFields(v[k], k);
+            }
         }
-        // Nothing to do here, we'll get the return at the end
-        catch(e) {}
+        return doc;
     }
     return v;
 }
 
+// Redact a printInfo result for the given section/subsection; the original
+// result is left untouched as the callers still need it
+function redactOutput(result, section, subsection) {
+    var redactor = _redactors[section + "." + subsection];
+    if (redactor) result = redactor(result);
+    // members of rs.status() are identified by name rather than host
+    if (_redactHostnames && (section == "replicaset_info" || section == "member_info") &&
+            subsection == "replica_status" &&
+            result && result.members instanceof Array) {
+        var status = {};
+        for (var k in result) {
+            if (result.hasOwnProperty(k)) status[k] = result[k];
+        }
+        status.members = result.members.map(function(member) {
+            var memberDoc = {};
+            for (var k in member) {
+                if (member.hasOwnProperty(k)) memberDoc[k] = member[k];
+            }
+            memberDoc.name = redactHostString(member.name);
+            return memberDoc;
+        });
+        result = status;
+    }
+    if (_redactHostnames && subsection == "shell_hostname") {
+        return redactHostString(result);
+    }
+    return redactFields(result);
+}
+
+// Sections emitted by printInfo, used to tell section from subsection patterns
+var _sections = ["server_info", "storage_info", "operation_info", "shard_or_replicaset_info", "shard_info",
+                 "replicaset_info", "auth_info", "security_info", "data_info", "member_info", "findings"];
+
+// Turn a glob ("*" and "?"), a "/regex/flags" string or a RegExp into a RegExp
+function globToRegExp(p) {
+    if (p instanceof RegExp) return p;
+    var m = /^\/(.*)\/([imy]*)$/.exec(p);
+    if (m) return new RegExp(m[1], m[2]);
+    return new RegExp("^" + p.split("").map(function(c) {
+        if (c == "*") return ".*";
+        if (c == "?") return ".";
+        return c.replace(/[.+^${}()|[\]\\\/]/g, "\\$&");
+    }).join("") + "$");
+}
+
+// Compile the value of one of the selection variables, which may be a single
+// pattern, a comma separated list of patterns or an array of patterns
+function namePatterns(list) {
+    if (list === null || list === undefined) return [];
+    if (!(list instanceof Array)) {
+        list = ((typeof list === "string" && list[0] != "/") ? list.split(",") : [list]);
+    }
+    return list.map(function(p) {
+        if (typeof p === "string") p = p.trim();
+        var pattern = {'re': globToRegExp(p), 'section': null};
+        // "section.subsection" globs only select subsections of that section
+        if (typeof p === "string" && p[0] != "/" && p.indexOf(".") > 0) {
+            pattern.section = globToRegExp(p.slice(0, p.indexOf(".")));
+        }
+        return pattern;
+    });
+}
+
+function matchesAny(patterns, names) {
+    return patterns.some(function(p) {
+        return names.some(function(name) { return p.re.test(name); });
+    });
+}
+
+// Whether the output of a section/subsection should be collected
+function isSelected(section, subsection) {
+    var names = [section];
+    if (subsection !== undefined) {
+        names.push(subsection, section + "." + subsection);
+    }
+    if (_includePatterns.length && !matchesAny(_includePatterns, names)) return false;
+    return !matchesAny(_excludePatterns, names);
+}
+
+// Whether a section may have anything selected at all, so that it can be
+// skipped without running any of its commands
+function isSectionSelected(section) {
+    if (matchesAny(_excludePatterns, [section])) return false;
+    if (!_includePatterns.length) return true;
+    return _includePatterns.some(function(p) {
+        if (p.re.test(section)) return true;
+        if (p.section) return p.section.test(section);
+        // a pattern matching no section name may match one of its subsections
+        return !_sections.some(function(s) { return p.re.test(s); });
+    });
+}
+
+// Whether a database or collection passes the _includeDBs/_excludeDBs and
+// _includeCollections/_excludeCollections filters; collection patterns are
+// matched against both the collection name and the full namespace
+function isDBSelected(dbName) {
+    if (_includeDBPatterns.length && !matchesAny(_includeDBPatterns, [dbName])) return false;
+    return !matchesAny(_excludeDBPatterns, [dbName]);
+}
+
+function isCollectionSelected(dbName, collName) {
+    var names = [collName, dbName + "." + collName];
+    if (_includeCollectionPatterns.length && !matchesAny(_includeCollectionPatterns, names)) return false;
+    return !matchesAny(_excludeCollectionPatterns, names);
+}
+
+function subsectionName(message) {
+    return message.toLowerCase().replace(/ /g, "_");
+}
+
+// Sort order of the BSON types when comparing values of different types
+var _bsonTypeOrder = {
+    'minKey': 1, 'undefined': 2, 'null': 2, 'int': 3, 'long': 3, 'number': 3, 'double': 3, 'decimal': 3, 'string': 4,
+    'object': 5, 'array': 6, 'binData': 7, 'objectId': 8, 'bool': 9, 'date': 10, 'timestamp': 11,
+    'regex': 12, 'maxKey': 13
+};
+
+// Compare two integers given as decimal strings, which NumberLongs do not
+// fit in a double to compare exactly
+function compareIntegerStrings(a, b) {
+    var negA = (a[0] == "-"), negB = (b[0] == "-");
+    if (negA != negB) return (negA ? -1 : 1);
+    if (negA) {
+        a = a.slice(1);
+        b = b.slice(1);
+    }
+    var cmp = (a.length != b.length ? a.length - b.length : (a < b ? -1 : (a > b ? 1 : 0)));
+    return (negA ? -cmp : cmp);
+}
+
+// Compare two shell values in the BSON sort order, as chunk and tag range
+// bounds are. Collations are not taken into account.
+function compareValues(a, b) {
+    var typeA = bsonType(a), typeB = bsonType(b);
+    var orderA = _bsonTypeOrder[typeA] || 5, orderB = _bsonTypeOrder[typeB] || 5;
+    if (orderA != orderB) return orderA - orderB;
+    var x, y;
+    switch (typeA) {
+        case "minKey": case "maxKey": case "undefined": case "null":
+            return 0;
+        case "long":
+            if (typeB == "long") return compareIntegerStrings(longmangle(a), longmangle(b));
+            // otherwise compared as numbers
+        case "int": case "number": case "double": case "decimal":
+            x = numberValue(a);
+            y = numberValue(b);
+            break;
+        case "objectId":
+            x = (a.str !== undefined ? a.str : a.toHexString());
+            y = (b.str !== undefined ? b.str : b.toHexString());
+            break;
+        case "date":
+            x = a.getTime();
+            y = b.getTime();
+            break;
+        case "timestamp":
+            x = (a.t !== undefined ? [a.t, a.i] : [a.getHighBits(), a.getLowBits()]);
+            y = (b.t !== undefined ? [b.t, b.i] : [b.getHighBits(), b.getLowBits()]);
+            if (x[0] != y[0]) return x[0] - y[0];
+            return x[1] - y[1];
+        case "bool": case "string":
+            x = a;
+            y = b;
+            break;
+        case "object":
+            return compareKeys(a, b);
+        default:
+            x = stringifyExtendedJSON(a);
+            y = stringifyExtendedJSON(b);
+    }
+    return (x < y ? -1 : (x > y ? 1 : 0));
+}
+
+// Compare two shard key values ({field: value, ...}) field by field
+function compareKeys(a, b) {
+    var fields = Object.keys(a);
+    for (var i = 0; i < fields.length; i++) {
+        var cmp = compareValues(a[fields[i]], b[fields[i]]);
+        if (cmp != 0) return cmp;
+    }
+    return Object.keys(b).length - fields.length;
+}
+
+// Whether every field of a shard key value is MinKey (or MaxKey)
+function isKeyBound(key, type) {
+    var fields = Object.keys(key || {});
+    return fields.length > 0 && fields.every(function(k) { return bsonType(key[k]) == type; });
+}
+
+// Gaps and overlaps between the ranges of a namespace, which must cover the
+// shard key space from MinKey to MaxKey (chunks) or must not overlap (tags)
+function rangeProblems(ranges, mustCover) {
+    var sorted = ranges.slice().sort(function(a, b) { return compareKeys(a.min, b.min); });
+    var ret = {'gaps': [], 'overlaps': []};
+    if (! sorted.length) return ret;
+    if (mustCover && ! isKeyBound(sorted[0].min, "minKey")) {
+        ret.gaps.push({'min': null, 'max': sorted[0].min});
+    }
+    for (var i = 1; i < sorted.length; i++) {
+        var prev = sorted[i - 1], cur = sorted[i];
+        var cmp = compareKeys(prev.max, cur.min);
+        if (cmp < 0 && mustCover) {
+            ret.gaps.push({'min': prev.max, 'max': cur.min});
+        } else if (cmp > 0) {
+            var overlap = {'min': cur.min, 'max': (compareKeys(prev.max, cur.max) < 0 ? prev.max : cur.max)};
+            if (prev.tag !== undefined) overlap['tags'] = [prev.tag, cur.tag];
+            else overlap['shards'] = [prev.shard, cur.shard];
+            ret.overlaps.push(overlap);
+        }
+    }
+    if (mustCover && ! isKeyBound(sorted[sorted.length - 1].max, "maxKey")) {
+        ret.gaps.push({'min': sorted[sorted.length - 1].max, 'max': null});
+    }
+    return ret;
+}
+
+// Consistency of the sharding metadata, from the config.shards documents and
+// the "Sharded databases" output: chunk gaps and overlaps, chunks on shards
+// that do not exist, overlapping tag ranges and tags no shard carries,
+// sharded collections without chunks, jumbo chunks, and databases whose
+// primary shard does not exist
+function analyzeShardingMetadata(shards, databases) {
+    var shardNames = {};
+    var shardTags = {};
+    shards.forEach(function(shard) {
+        shardNames[shard._id] = true;
+        (shard.tags || []).forEach(function(tag) { shardTags[tag] = true; });
+    });
+    var ret = {
+        'chunkGaps': [], 'chunkOverlaps': [], 'chunksOnUnknownShards': [],
+        'tagOverlaps': [], 'tagsWithoutShards': [], 'collectionsWithoutChunks': [],
+        'jumboChunks': [], 'databasesWithUnknownPrimary': []
+    };
+    databases.forEach(function(dbDoc) {
+        // "config" and "admin" live on the config servers
+        if (dbDoc.primary !== undefined && ! shardNames[dbDoc.primary] && dbDoc._id != "config" && dbDoc._id != "admin") {
+            ret.databasesWithUnknownPrimary.push({'database': dbDoc._id, 'primary': dbDoc.primary});
+        }
+        (dbDoc.collections || []).forEach(function(coll) {
+            if (! coll || ! coll._id) return;
+            var ns = coll._id;
+            var chunks = coll.chunks || [];
+            if (! chunks.length) ret.collectionsWithoutChunks.push(ns);
+
+            var chunkProblems = rangeProblems(chunks, true);
+            chunkProblems.gaps.forEach(function(gap) { gap['ns'] = ns; ret.chunkGaps.push(gap); });
+            chunkProblems.overlaps.forEach(function(overlap) { overlap['ns'] = ns; ret.chunkOverlaps.push(overlap); });
+
+            var unknown = {};
+            var jumbo = {};
+            chunks.forEach(function(chunk) {
+                if (! shardNames[chunk.shard]) unknown[chunk.shard] = (unknown[chunk.shard] || 0) + 1;
+                if (chunk.jumbo) jumbo[chunk.shard] = (jumbo[chunk.shard] || 0) + 1;
+            });
+            Object.keys(unknown).forEach(function(shard) {
+                ret.chunksOnUnknownShards.push({'ns': ns, 'shard': shard, 'chunks': unknown[shard]});
+            });
+            var jumboShards = Object.keys(jumbo);
+            if (jumboShards.length) {
+                ret.jumboChunks.push({'ns': ns, 'count': jumboShards.reduce(function(n, shard) { return n + jumbo[shard]; }, 0),
+                                      'byShard': jumbo});
+            }
+
+            var tags = coll.tags || [];
+            rangeProblems(tags, false).overlaps.forEach(function(overlap) { overlap['ns'] = ns; ret.tagOverlaps.push(overlap); });
+            var missing = {};
+            tags.forEach(function(tag) {
+                if (! shardTags[tag.tag]) missing[tag.tag] = true;
+            });
+            Object.keys(missing).forEach(function(tag) { ret.tagsWithoutShards.push({'ns': ns, 'tag': tag}); });
+        });
+    });
+    return ret;
+}
+
 // Copied from Mongo Shell
 function printShardInfo(){
     section = "shard_info";
@@ -148,11 +971,11 @@ function printShardInfo(){
               function(){return db.getSiblingDB("config").getCollection("version").findOne()},
               section);
 
-    printInfo("Shards", function(){
+    var shards = printInfoOrRun("Shards", function(){
         return configDB.shards.find().sort({ _id : 1 }).toArray();
     }, section);
 
-    printInfo("Sharded databases", function(){
+    var databases = printInfoOrRun("Sharded databases", function(){
         var ret = [];
         configDB.databases.find().sort( { name : 1 } ).forEach(
             function(db) {
@@ -165,13 +988,14 @@ function printShardInfo(){
                     configDB.collections.find( { _id : new RegExp( "^" +
                         RegExp.escape(db._id) + "\\." ) } ).
                         sort( { _id : 1 } ).forEach( function( coll ) {
-                            if ( coll.dropped === false ){
+                            // MongoDB 5.0 and later drop the "dropped" flag
+                            if ( coll.dropped !== true ){
                                 collDoc = {};
                                 collDoc['_id'] = coll._id;
                                 collDoc['key'] = coll.key;
 
                                 var res = configDB.chunks.aggregate(
-                                    { "$match": { ns: coll._id } },
+                                    { "$match": chunksQuery(coll) },
                                     { "$group": { _id: "$shard", nChunks: { "$sum": 1 } } }
                                 );
                                 // MongoDB 2.6 and above returns a cursor instead of a document
@@ -184,7 +1008,7 @@ function printShardInfo(){
                                 } );
 
                                 collDoc['chunks'] = [];
-                                configDB.chunks.find( { "ns" : coll._id } ).sort( { min : 1 } ).forEach(
+                                configDB.chunks.find( chunksQuery(coll) ).sort( { min : 1 } ).forEach(
                                     function(chunk) {
                                         chunkDoc = {}
                                         chunkDoc['min'] = chunk.min;
@@ -205,8 +1029,8 @@ function printShardInfo(){
                                         collDoc['tags'].push(tagDoc);
                                     }
                                 );
+                                doc['collections'].push(collDoc);
                             }
-                            doc['collections'].push(collDoc);
                         }
                     );
                 }
@@ -215,116 +1039,1180 @@ function printShardInfo(){
         );
         return ret;
     }, section);
+
+    if (shards && databases) {
+        printInfo("Metadata consistency", function(){return analyzeShardingMetadata(shards, databases)}, section);
+    }
+}
+
+// Reason why nothing more may run, if the overall deadline (_deadlineMS) or
+// the time budget of the current collection (_collectionTimeBudgetMS) is used up
+function timeBudgetExceeded() {
+    var now = new Date().getTime();
+    if (_deadlineMS && now - _runStartTime.getTime() > _deadlineMS) {
+        return "overall deadline of " + _deadlineMS + "ms exceeded";
+    }
+    if (_collectionDeadline !== null && now > _collectionDeadline) {
+        return "collection time budget of " + _collectionTimeBudgetMS + "ms exceeded";
+    }
+    return null;
 }
 
 function printInfo(message, command, section, printCapture) {
     var result = false;
+    var error = null;
     printCapture = (printCapture === undefined ? false: true);
+    if (typeof(section) !== "undefined") {
+        if (! isSelected(section, subsectionName(message))) return null;
+    } else if (! isSelected(subsectionName(message))) {
+        return null;
+    }
     if (! _printJSON) print("\n** " + message + ":");
     startTime = new Date();
-    try {
-        if (printCapture) {
-            result = print.captureAllOutput(command);
-        } else {
-            result = command();
-        }
-        err = null
-    } catch(err) {
-        if (! _printJSON) {
-            print("Error running '" + command + "':");
-            print(err);
+    // the findings only look at what was collected, so still come after the deadline
+    var skipped = (typeof(section) === "undefined" && subsectionName(message) == "findings" ? null : timeBudgetExceeded());
+    if (skipped) {
+        if (! _printJSON) print("Skipped: " + skipped);
+        result = null;
+    } else {
+        try {
+            if (printCapture) {
+                result = captureOutput(command);
+            } else {
+                result = command();
+            }
+        } catch(err) {
+            if (! _printJSON) {
+                print("Error running '" + command + "':");
+                print(errorText(err));
+            }
+            error = err;
+            result = null
         }
-        result = null
     }
     endTime = new Date();
     doc = {};
     doc['command'] = command.toString();
-    doc['error'] = err;
-    doc['host'] = _host;
+    doc['error'] = (error === null ? null : errorText(error));
+    if (skipped) doc['skipped'] = skipped;
+    doc['host'] = (_redact && _redactHostnames ? redactHostString(_host) : _host);
     doc['ref'] = _ref;
     doc['tag'] = _tag;
+    // database/collection the per-database and per-collection subsections are for
+    for (var k in _context) {
+        doc[k] = (k == 'member' && _redact && _redactHostnames ? redactHostString(_context[k]) : _context[k]);
+    }
     doc['output'] = result;
     if (typeof(section) !== "undefined") {
         doc['section'] = section;
-        doc['subsection'] = message.toLowerCase().replace(/ /g, "_");
+        doc['subsection'] = subsectionName(message);
     } else {
-        doc['section'] = message.toLowerCase().replace(/ /g, "_");
+        doc['section'] = subsectionName(message);
+    }
+    if (_redact) {
+        doc['output'] = redactOutput(result, doc['section'], doc['subsection']);
     }
     doc['ts'] = {'start': startTime, 'end': endTime};
     doc['version'] = _version;
-    _output.push(doc);
-    if (! _printJSON) printjson(result);
+    _counts.docs++;
+    if (error !== null) _counts.errors++;
+    if (skipped) _counts.skipped++;
+    if (_printNDJSON) {
+        // one line per doc as soon as it is collected
+        print(stringifyExtendedJSON(doc));
+    }
+    if (_bundle) bundleDoc(doc);
+    // only the JSON array printed at the end needs every doc, the findings only those they read
+    if ((_printJSON && ! _printNDJSON) || isRuleInput(doc)) _output.push(doc);
+    if (! _printJSON && ! skipped) printjson(doc['output']);
     return result;
 }
 
+// Like printInfo, but still runs the command when its subsection is not
+// selected, for results needed to drive the per-database and per-collection loops
+function printInfoOrRun(message, command, section) {
+    if (isSelected(section, subsectionName(message))) {
+        return printInfo(message, command, section);
+    }
+    if (timeBudgetExceeded()) return null;
+    try {
+        return command();
+    } catch(err) {
+        return null;
+    }
+}
+
+// serverStatus counters reported as per-second rates when sampling
+var _rateMetrics = [
+    "opcounters.insert", "opcounters.query", "opcounters.update", "opcounters.delete",
+    "opcounters.getmore", "opcounters.command",
+    "network.bytesIn", "network.bytesOut", "network.numRequests",
+    "metrics.document.inserted", "metrics.document.returned", "metrics.document.updated", "metrics.document.deleted",
+    "wiredTiger.cache.bytes read into cache", "wiredTiger.cache.bytes written from cache",
+    "wiredTiger.cache.pages read into cache", "wiredTiger.cache.pages written from cache"
+];
+// serverStatus values reported as they are when sampling
+var _gaugeMetrics = [
+    "globalLock.currentQueue.total", "globalLock.currentQueue.readers", "globalLock.currentQueue.writers",
+    "globalLock.activeClients.readers", "globalLock.activeClients.writers", "connections.current",
+    "wiredTiger.concurrentTransactions.read.out", "wiredTiger.concurrentTransactions.write.out",
+    // the tickets moved to queues.execution in 7.0
+    "queues.execution.read.out", "queues.execution.write.out"
+];
+
+// Plain number at a "a.b.c" path of a document, or NaN
+function numberAt(doc, path) {
+    return numberValue(valueAt(doc, path));
+}
+
+// The value of a document at a dotted path, or undefined
+function valueAt(doc, path) {
+    return path.split(".").reduce(function(v, k) {
+        return (v === null || v === undefined ? undefined : v[k]);
+    }, doc);
+}
+
+// Paths of the lock acquisition counters of a serverStatus, which depend on
+// the version and the lock types in use
+function lockCounterPaths(status) {
+    var paths = [];
+    for (var type in (status.locks || {})) {
+        var counts = status.locks[type].acquireCount;
+        for (var mode in (counts || {})) {
+            paths.push("locks." + type + ".acquireCount." + mode);
+        }
+    }
+    return paths;
+}
+
+// Take serverStatus every intervalMS for durationMS, or until a time budget is
+// used up. Only the previous reply is kept: the per-second rates of the
+// counters since it and the gauges are recorded as each sample comes in
+function sampleServerStatus(durationMS, intervalMS) {
+    var sampled = {'samples': 0, 'start': null, 'end': null, 'rates': {}, 'gauges': {}};
+    var record = function(values, path, value) {
+        if (! (path in values)) values[path] = [];
+        values[path].push(value);
+    };
+    var previous = null;
+    var end = new Date().getTime() + durationMS;
+    while (true) {
+        var time = new Date().getTime();
+        var status = db.serverStatus();
+        if (previous) {
+            var seconds = (time - previous.time) / 1000;
+            _rateMetrics.concat(lockCounterPaths(status)).forEach(function(path) {
+                var delta = numberAt(status, path) - numberAt(previous.status, path);
+                // a restart resets the counters
+                if (seconds > 0 && delta >= 0) record(sampled.rates, path, roundTo(delta / seconds, 2));
+            });
+        }
+        _gaugeMetrics.forEach(function(path) {
+            var value = numberAt(status, path);
+            if (! isNaN(value)) record(sampled.gauges, path, value);
+        });
+        sampled.samples++;
+        if (sampled.start === null) sampled.start = time;
+        sampled.end = time;
+        previous = {'time': time, 'status': status};
+        if (new Date().getTime() + intervalMS > end || timeBudgetExceeded()) break;
+        sleep(intervalMS);
+    }
+    return sampled;
+}
+
+// min/max/avg and percentiles of a list of numbers
+function distribution(values) {
+    if (! values.length) return null;
+    var sorted = values.slice().sort(function(a, b) { return a - b; });
+    var percentile = function(p) {
+        return sorted[Math.max(0, Math.ceil(p / 100 * sorted.length) - 1)];
+    };
+    var sum = sorted.reduce(function(a, b) { return a + b; }, 0);
+    return {'min': sorted[0], 'max': sorted[sorted.length - 1], 'avg': roundTo(sum / sorted.length, 2),
+            'p50': percentile(50), 'p95': percentile(95), 'p99': percentile(99)};
+}
+
+// Spread of the per-second rates of the serverStatus counters between
+// consecutive samples, and of the gauges across the samples
+function analyzeServerStatusSamples(sampled) {
+    if (sampled.samples < 2) return {'samples': sampled.samples, 'rates': null, 'gauges': null};
+    var spreads = function(values) {
+        var result = {};
+        for (var path in values) {
+            var spread = distribution(values[path]);
+            if (spread) result[path] = spread;
+        }
+        return result;
+    };
+    return {
+        'samples': sampled.samples,
+        'start': new Date(sampled.start),
+        'end': new Date(sampled.end),
+        'rates': spreads(sampled.rates),
+        'gauges': spreads(sampled.gauges)
+    };
+}
+
 function printServerInfo() {
     section = "server_info";
     printInfo('Shell version',      version, section);
-    printInfo('Shell hostname',     hostname, section);
+    printInfo('Shell hostname',     shellHostname, section);
     printInfo('db',                 function(){return db.getName()}, section);
     printInfo('Server status info', function(){return db.serverStatus()}, section);
+    if (_serverStatusSampleMS > 0) {
+        printInfo('Server status rates', function(){
+            return analyzeServerStatusSamples(sampleServerStatus(_serverStatusSampleMS, _serverStatusIntervalMS));
+        }, section);
+    }
     printInfo('Host info',          function(){return db.hostInfo()}, section);
     printInfo('Command line info',  function(){return db.serverCmdLineOpts()}, section);
     printInfo('Server build info',  function(){return db.serverBuildInfo()}, section);
+    printInfo('Server parameters',  function(){return runCommandReply(db.getSiblingDB('admin'), {'getParameter': '*'})}, section);
+    printInfo('Startup warnings',   function(){return runCommandReply(db.getSiblingDB('admin'), {'getLog': 'startupWarnings'})}, section);
 }
 
 function printReplicaSetInfo() {
     section = "replicaset_info";
-    printInfo('Replica set config', function(){return rs.conf()}, section);
-    printInfo('Replica status',     function(){return rs.status()}, section);
-    printInfo('Replica info',       function(){return db.getReplicationInfo()}, section);
-    printInfo('Replica slave info', function(){return db.printSlaveReplicationInfo()}, section, true);
+    var conf = printInfoOrRun('Replica set config', function(){return rs.conf()}, section);
+    var status = printInfoOrRun('Replica status',   function(){return replicaSetStatus()}, section);
+    var replInfo = printInfoOrRun('Replica info',   function(){return db.getReplicationInfo()}, section);
+    printInfo('Replica slave info', function(){
+        // renamed in 4.4, the old name is gone from mongosh; an unknown
+        // db attribute is a collection, so check it is a function
+        return (typeof db.printSecondaryReplicationInfo === "function" ?
+                db.printSecondaryReplicationInfo() : db.printSlaveReplicationInfo());
+    }, section, true);
+    printInfo('Replication analysis', function(){return analyzeReplication(status, conf, replInfo)}, section);
 }
 
-function printDataInfo(isMongoS) {
-    section = "data_info";
-    var dbs = printInfo('List of databases', function(){return db.getMongo().getDBs()}, section);
+// Member states that mean a member is not doing its job
+var _unhealthyStates = ["STARTUP", "STARTUP2", "RECOVERING", "UNKNOWN", "DOWN", "ROLLBACK", "REMOVED"];
+// Heartbeat round trip above which a member is reported, in ms
+var _heartbeatPingWarnMS = 100;
 
-    if (dbs.databases) {
-        dbs.databases.forEach(function(mydb) {
-            var collections = printInfo("List of collections for database '"+ mydb.name +"'",
-                                        function(){return db.getSiblingDB(mydb.name).getCollectionNames()}, section);
+function roundTo(n, places) {
+    var f = Math.pow(10, places);
+    return Math.round(n * f) / f;
+}
 
-            printInfo('Database stats (MB)',
-                      function(){return db.getSiblingDB(mydb.name).stats(1024*1024)}, section);
-            if (!isMongoS) {
-                printInfo('Database profiler',
-                          function(){return db.getSiblingDB(mydb.name).getProfilingStatus()}, section);
-            }
+// Replication lag, oplog window and churn, and heartbeat and member config
+// anomalies, derived from rs.status(), rs.conf() and db.getReplicationInfo()
+function analyzeReplication(status, conf, replInfo) {
+    if (! status || ! status.members) return null;
+    var analysis = {'set': status.set, 'date': status.date};
+    var primary = status.members.filter(function(m) { return m.stateStr == "PRIMARY"; })[0];
+    analysis['primary'] = (primary ? primary.name : null);
 
-            if (collections) {
-                collections.forEach(function(col) {
-                    printInfo('Collection stats (MB)',
-                              function(){return db.getSiblingDB(mydb.name).getCollection(col).stats(1024*1024)}, section);
-                    if (isMongoS) {
-                        printInfo('Shard distribution',
-                                  function(){return db.getSiblingDB(mydb.name).getCollection(col).getShardDistribution()}, section, true);
-                    }
-                    printInfo('Indexes',
-                              function(){return db.getSiblingDB(mydb.name).getCollection(col).getIndexes()}, section);
-                    if (col != "system.users") {
-                        printInfo('Sample document',
-                                  function(){
-					var lastValCursor = db.getSiblingDB(mydb.name).getCollection(col).find().sort({'$natural': -1}).limit(-1);
-					if (lastValCursor.hasNext()) {
-						return lastValCursor.next()
-					}
-					else {
-						return null;
-					}
-				  }, section);
-                    }
-                });
-            }
+    // lag is relative to the primary's optime, or the most recent one if there is no primary
+    var optime = function(m) { return (m.optimeDate instanceof Date ? m.optimeDate.getTime() : null); };
+    var reference = (primary ? optime(primary) : null);
+    if (reference === null) {
+        status.members.forEach(function(m) {
+            if (optime(m) !== null && (reference === null || optime(m) > reference)) reference = optime(m);
         });
     }
+    analysis['members'] = status.members.map(function(m) {
+        var member = {'host': m.name, 'state': m.stateStr, 'health': m.health};
+        if (m.stateStr != "ARBITER" && optime(m) !== null && reference !== null) {
+            member['lagSecs'] = (reference - optime(m)) / 1000;
+        }
+        if (m.pingMs !== undefined) member['pingMs'] = numberValue(m.pingMs);
+        if (m.lastHeartbeat instanceof Date && status.date instanceof Date) {
+            member['lastHeartbeatAgeSecs'] = (status.date.getTime() - m.lastHeartbeat.getTime()) / 1000;
+        }
+        return member;
+    });
+    var lags = analysis.members.filter(function(m) { return m.lagSecs !== undefined; });
+    analysis['maxLagSecs'] = (lags.length ? Math.max.apply(null, lags.map(function(m) { return m.lagSecs; })) : null);
+
+    if (replInfo && replInfo.logSizeMB !== undefined) {
+        var oplog = {'sizeMB': replInfo.logSizeMB, 'usedMB': replInfo.usedMB,
+                     'windowHours': (replInfo.timeDiff !== undefined ? roundTo(replInfo.timeDiff / 3600, 2) : null)};
+        // churn from the first and last entries; once the oplog is full the window is
+        // the projected one, before that the projection tells where it will settle
+        if (replInfo.timeDiff > 0 && replInfo.usedMB > 0) {
+            var mbPerHour = replInfo.usedMB / (replInfo.timeDiff / 3600);
+            oplog['churnGBPerHour'] = roundTo(mbPerHour / 1024, 3);
+            oplog['projectedWindowHours'] = roundTo(replInfo.logSizeMB / mbPerHour, 2);
+        } else {
+            oplog['churnGBPerHour'] = null;
+            oplog['projectedWindowHours'] = null;
+        }
+        analysis['oplog'] = oplog;
+    }
+
+    var heartbeatTimeoutSecs = (conf && conf.settings && conf.settings.heartbeatTimeoutSecs) || 10;
+    analysis['heartbeatAnomalies'] = [];
+    status.members.forEach(function(m, i) {
+        var issues = [];
+        if (m.health !== undefined && m.health != 1) issues.push("member is unreachable");
+        if (_unhealthyStates.indexOf(m.stateStr) >= 0) issues.push("member is in state " + m.stateStr);
+        if (m.lastHeartbeatMessage) issues.push("heartbeat message: " + m.lastHeartbeatMessage);
+        if (numberValue(m.pingMs) > _heartbeatPingWarnMS) {
+            issues.push("heartbeat round trip of " + numberValue(m.pingMs) + "ms");
+        }
+        var age = analysis.members[i].lastHeartbeatAgeSecs;
+        if (age > heartbeatTimeoutSecs) issues.push("last heartbeat " + age + "s ago");
+        issues.forEach(function(issue) {
+            analysis.heartbeatAnomalies.push({'host': m.name, 'issue': issue});
+        });
+    });
+
+    analysis['memberConfigAnomalies'] = (conf && conf.members ? memberConfigAnomalies(conf.members) : null);
+    return analysis;
 }
 
-function printShardOrReplicaSetInfo() {
-    section = "shard_or_replicaset_info";
-    printInfo('isMaster', function(){return db.isMaster()}, section);
-    var state;
-    var stateInfo = rs.status();
+// Replica set config members with priority/votes/hidden/delay settings that
+// are invalid or unlikely to be intended
+function memberConfigAnomalies(members) {
+    var anomalies = [];
+    var voters = 0;
+    members.forEach(function(m) {
+        var priority = (m.priority === undefined ? 1 : m.priority);
+        var votes = (m.votes === undefined ? 1 : m.votes);
+        // renamed secondaryDelaySecs in 5.0
+        var delay = m.secondaryDelaySecs || m.slaveDelay || 0;
+        var add = function(issue) { anomalies.push({'host': m.host, 'issue': issue}); };
+        if (votes > 0) voters++;
+        if (m.arbiterOnly) {
+            if (priority > 0) add("arbiter with priority " + priority);
+            return;
+        }
+        if (m.hidden && priority > 0) add("hidden member with priority " + priority);
+        if (delay > 0 && priority > 0) add("delayed member with priority " + priority);
+        if (delay > 0 && ! m.hidden) add("delayed member is not hidden, so it may serve reads");
+        if (votes == 0 && priority > 0) add("non-voting member with priority " + priority);
+        if (m.buildIndexes === false && priority > 0) add("member without buildIndexes with priority " + priority);
+    });
+    if (voters > 7) {
+        anomalies.push({'host': null, 'issue': voters + " voting members, at most 7 are allowed"});
+    }
+    return anomalies;
+}
+
+// Name of the storage engine of the connected server, null on a mongos
+function storageEngineName() {
+    var status = db.serverStatus();
+    return (status.storageEngine ? status.storageEngine.name : null);
+}
+
+// A WiredTiger statistic as a plain number, from the first of the given
+// "section.name"s found, as statistics move and get renamed across versions
+function wtStat(wt) {
+    for (var i = 1; i < arguments.length; i++) {
+        var dot = arguments[i].indexOf(".");
+        var group = wt[arguments[i].slice(0, dot)];
+        if (group && group[arguments[i].slice(dot + 1)] !== undefined) {
+            return numberValue(group[arguments[i].slice(dot + 1)]);
+        }
+    }
+    return null;
+}
+
+function percentOf(part, whole) {
+    return (part === null || ! whole ? null : roundTo(100 * part / whole, 2));
+}
+
+// Cache usage and eviction pressure, checkpoints, tickets and block manager
+// activity, summarized from serverStatus().wiredTiger
+function analyzeWiredTiger(status) {
+    if (! status || ! status.wiredTiger) return null;
+    var wt = status.wiredTiger;
+    var cache = {
+        'maxBytes': wtStat(wt, "cache.maximum bytes configured"),
+        'usedBytes': wtStat(wt, "cache.bytes currently in the cache"),
+        'dirtyBytes': wtStat(wt, "cache.tracked dirty bytes in the cache"),
+        'pagesReadIntoCache': wtStat(wt, "cache.pages read into cache"),
+        'pagesWrittenFromCache': wtStat(wt, "cache.pages written from cache"),
+        'pagesEvictedByAppThreads': wtStat(wt, "cache.pages evicted by application threads")
+    };
+    cache['usedPct'] = percentOf(cache.usedBytes, cache.maxBytes);
+    cache['dirtyPct'] = percentOf(cache.dirtyBytes, cache.maxBytes);
+    // application threads are made to evict past the eviction triggers (95% used,
+    // 20% dirty), and eviction threads start working past the targets (80%, 5%)
+    if (cache.usedPct >= 95 || cache.dirtyPct >= 20) {
+        cache['evictionPressure'] = "high";
+    } else if (cache.usedPct >= 80 || cache.dirtyPct >= 5) {
+        cache['evictionPressure'] = "elevated";
+    } else {
+        cache['evictionPressure'] = "low";
+    }
+
+    var running = wtStat(wt, "transaction.transaction checkpoint currently running");
+    var checkpoint = {
+        'running': (running === null ? null : running != 0),
+        'count': wtStat(wt, "transaction.transaction checkpoints", "checkpoint.number of checkpoints started"),
+        'mostRecentMS': wtStat(wt, "transaction.transaction checkpoint most recent time (msecs)",
+                               "checkpoint.most recent time (msecs)"),
+        'maxMS': wtStat(wt, "transaction.transaction checkpoint max time (msecs)", "checkpoint.max time (msecs)"),
+        'totalMS': wtStat(wt, "transaction.transaction checkpoint total time (msecs)", "checkpoint.total time (msecs)")
+    };
+
+    // moved to serverStatus().queues.execution in 7.0
+    var queues = (status.queues && status.queues.execution ? status.queues.execution : wt.concurrentTransactions);
+    var tickets = null;
+    if (queues) {
+        tickets = {};
+        ["read", "write"].forEach(function(op) {
+            if (! queues[op]) return;
+            tickets[op] = {'out': numberValue(queues[op].out), 'available': numberValue(queues[op].available),
+                           'totalTickets': numberValue(queues[op].totalTickets)};
+        });
+    }
+
+    var blockManager = {
+        'blocksRead': wtStat(wt, "block-manager.blocks read"),
+        'blocksWritten': wtStat(wt, "block-manager.blocks written"),
+        'bytesRead': wtStat(wt, "block-manager.bytes read"),
+        'bytesWritten': wtStat(wt, "block-manager.bytes written"),
+        'mappedBlocksRead': wtStat(wt, "block-manager.mapped blocks read"),
+        'blocksPreloaded': wtStat(wt, "block-manager.blocks pre-loaded")
+    };
+    return {'cache': cache, 'checkpoint': checkpoint, 'tickets': tickets, 'blockManager': blockManager};
+}
+
+// Buckets of the "number of blocks with compress ratio ..." statistics, with
+// the ratio each is counted at
+var _compressRatioBuckets = [
+    ["smaller than 2", 1.5], ["smaller than 4", 3], ["smaller than 8", 6], ["smaller than 16", 12],
+    ["smaller than 32", 24], ["smaller than 64", 48], ["greater than 64", 64]
+];
+
+// File size, space available for reuse and block compression ratio of the
+// WiredTiger statistics of one collection or index file
+function wtFileStorage(wt) {
+    var file = {
+        'fileSizeBytes': wtStat(wt, "block-manager.file size in bytes"),
+        'reusableBytes': wtStat(wt, "block-manager.file bytes available for reuse")
+    };
+    // only reported from 5.0
+    var blocks = 0, weighted = 0;
+    _compressRatioBuckets.forEach(function(bucket) {
+        var n = wtStat(wt, "compression.number of blocks with compress ratio " + bucket[0]);
+        if (n) {
+            blocks += n;
+            weighted += n * bucket[1];
+        }
+    });
+    file['blockCompressionRatio'] = (blocks ? roundTo(weighted / blocks, 2) : null);
+    return file;
+}
+
+// Run a command only the first time the returned function is called, and
+// return its result (or throw its error) every time
+function once(command) {
+    var done = false;
+    var result = null;
+    var error = null;
+    return function() {
+        if (! done) {
+            done = true;
+            try {
+                result = command();
+            } catch(err) {
+                error = err;
+            }
+        }
+        if (error !== null) throw error;
+        return result;
+    };
+}
+
+// collStats fields the server scales when given a scale
+var _collStatsScaledFields = ["size", "storageSize", "totalIndexSize", "totalSize", "freeStorageSize", "maxSize"];
+
+// A collStats reply scaled as {'scale': scale} would have it, and without the
+// indexDetails, so that one unscaled collStats serves every subsection
+function scaleCollStats(stats, scale) {
+    var doc = {};
+    for (var k in stats) {
+        if (! stats.hasOwnProperty(k) || k == "indexDetails") continue;
+        var v = stats[k];
+        if (_collStatsScaledFields.indexOf(k) >= 0 && ! isNaN(numberValue(v))) {
+            doc[k] = Math.floor(numberValue(v) / scale);
+        } else if (k == "indexSizes" && bsonType(v) == "object") {
+            doc[k] = {};
+            for (var name in v) {
+                if (v.hasOwnProperty(name)) doc[k][name] = Math.floor(numberValue(v[name]) / scale);
+            }
+        } else if (k == "shards" && bsonType(v) == "object") {
+            doc[k] = {};
+            for (var shard in v) {
+                if (v.hasOwnProperty(shard)) doc[k][shard] = scaleCollStats(v[shard], scale);
+            }
+        } else {
+            doc[k] = v;
+        }
+    }
+    if ("scaleFactor" in stats) doc['scaleFactor'] = scale;
+    return doc;
+}
+
+// Compression and reclaimable space of a collection and its indexes, from
+// collStats with indexDetails; per shard when run through a mongos
+function analyzeCollectionStorage(stats) {
+    if (! stats) return null;
+    if (stats.shards && ! stats.wiredTiger) {
+        var shards = {};
+        for (var shard in stats.shards) {
+            shards[shard] = analyzeCollectionStorage(stats.shards[shard]);
+        }
+        return {'shards': shards};
+    }
+    if (! stats.wiredTiger) return null;
+    var storage = wtFileStorage(stats.wiredTiger);
+    storage['dataSizeBytes'] = numberValue(stats.size);
+    storage['storageSizeBytes'] = numberValue(stats.storageSize);
+    // uncompressed BSON size over the space it actually takes on disk
+    var used = storage.fileSizeBytes - storage.reusableBytes;
+    storage['compressionRatio'] = (used > 0 ? roundTo(storage.dataSizeBytes / used, 2) : null);
+    storage['indexes'] = {};
+    var reclaimable = storage.reusableBytes || 0;
+    for (var name in (stats.indexDetails || {})) {
+        var index = wtFileStorage(stats.indexDetails[name]);
+        index['indexSizeBytes'] = (stats.indexSizes ? numberValue(stats.indexSizes[name]) : null);
+        reclaimable += index.reusableBytes || 0;
+        storage.indexes[name] = index;
+    }
+    // what a compact (or a resync) could give back to the file system
+    storage['reclaimableBytes'] = reclaimable;
+    return storage;
+}
+
+function printStorageInfo() {
+    section = "storage_info";
+    var status = printInfoOrRun('Storage engine', function(){return db.serverStatus().storageEngine}, section);
+    if (status && status.name == "wiredTiger") {
+        printInfo('WiredTiger summary', function(){return analyzeWiredTiger(db.serverStatus())}, section);
+    }
+}
+
+// Seconds an operation has been running for, or 0 if not reported
+function opSeconds(op) {
+    if (op.microsecs_running !== undefined) return numberValue(op.microsecs_running) / 1000000;
+    return (op.secs_running !== undefined ? numberValue(op.secs_running) : 0);
+}
+
+// The client application an operation comes from, as the driver reported it
+function opApplication(op) {
+    if (op.appName) return op.appName;
+    if (op.clientMetadata && op.clientMetadata.application) return op.clientMetadata.application.name;
+    return null;
+}
+
+// Name of the command an operation runs, its first field
+function opCommandName(op) {
+    return (bsonType(op.command) == "object" ? Object.keys(op.command)[0] || null : null);
+}
+
+function isIndexBuildOp(op) {
+    return /^Index Build/i.test(op.msg || "") || opCommandName(op) == "createIndexes" ||
+        /IndexBuildsCoordinator/.test(op.desc || "");
+}
+
+var _migrationCommands = ["moveChunk", "moveRange", "_recvChunkStart", "_migrateClone", "_transferMods",
+                          "cloneCollection", "movePrimary", "_shardsvrMovePrimary"];
+
+function isMigrationOp(op) {
+    return _migrationCommands.indexOf(opCommandName(op)) >= 0 ||
+        /^(migrateThread|MoveChunk|MigrationDestinationManager)/.test(op.desc || "");
+}
+
+// Summary of one operation, without its command and so without its predicates
+function opSummary(op) {
+    var summary = {'opid': op.opid, 'op': op.op, 'ns': op.ns, 'command': opCommandName(op),
+                   'secs': roundTo(opSeconds(op), 3), 'application': opApplication(op), 'client': op.client,
+                   'desc': op.desc};
+    if (op.planSummary) summary['planSummary'] = op.planSummary;
+    if (op.waitingForLock) summary['waitingForLock'] = true;
+    if (op.msg) summary['msg'] = op.msg;
+    if (op.progress) summary['progress'] = op.progress;
+    return summary;
+}
+
+// Operations grouped by namespace, op type and client application, those
+// running longer than longRunningSecs or waiting on locks, index builds and migrations
+function analyzeCurrentOps(ops, longRunningSecs) {
+    var groupBy = function(key) {
+        var groups = {};
+        ops.forEach(function(op) {
+            var name = String(key(op) || "");
+            if (! (name in groups)) groups[name] = {'count': 0, 'active': 0, 'maxSecs': 0};
+            groups[name].count++;
+            if (op.active) groups[name].active++;
+            groups[name].maxSecs = Math.max(groups[name].maxSecs, roundTo(opSeconds(op), 3));
+        });
+        return groups;
+    };
+    var active = ops.filter(function(op) { return op.active; });
+    return {
+        'total': ops.length,
+        'active': active.length,
+        'byNamespace': groupBy(function(op) { return op.ns; }),
+        'byOpType': groupBy(function(op) { return op.op; }),
+        'byApplication': groupBy(opApplication),
+        'longRunning': active.filter(function(op) { return opSeconds(op) > longRunningSecs; }).map(opSummary),
+        'waitingForLock': ops.filter(function(op) { return op.waitingForLock; }).map(opSummary),
+        'indexBuilds': ops.filter(isIndexBuildOp).map(opSummary),
+        'migrations': ops.filter(isMigrationOp).map(opSummary)
+    };
+}
+
+function printOperationInfo() {
+    section = "operation_info";
+    var current = printInfoOrRun('Current operations', function(){return db.currentOp(true)}, section);
+    if (current && current.inprog) {
+        printInfo('Operation analysis', function(){return analyzeCurrentOps(current.inprog, _longRunningOpSecs)}, section);
+    }
+}
+
+// Version of the connected server, looked up once as it is needed for
+// every collection
+var _serverVersion = null;
+function serverVersion() {
+    if (_serverVersion === null) _serverVersion = db.version();
+    return _serverVersion;
+}
+
+// Whether the connected server is at least the given version
+function serverVersionAtLeast(major, minor) {
+    var v = serverVersion().split(".").map(Number);
+    return v[0] > major || (v[0] == major && v[1] >= minor);
+}
+
+// Run a command, bounded by _commandTimeoutMS if set, throwing on failure
+// so that printInfo records the error
+function runCommandWithTimeout(theDB, cmdObj) {
+    if (_commandTimeoutMS) cmdObj['maxTimeMS'] = _commandTimeoutMS;
+    var res = theDB.runCommand(cmdObj);
+    if (! res.ok) {
+        throw Error(res.errmsg || JSON.stringify(res));
+    }
+    return res;
+}
+
+// The indexes of a collection, through listIndexes where _commandTimeoutMS
+// can bound it (MongoDB 3.0 and later); the at most 64 indexes of a
+// collection all come in the first batch
+function collectionIndexes(theDB, col) {
+    if (! _commandTimeoutMS || ! serverVersionAtLeast(3, 0)) return theDB.getCollection(col).getIndexes();
+    return runCommandWithTimeout(theDB, {'listIndexes': col}).cursor.firstBatch;
+}
+
+// Apply _commandTimeoutMS to a query cursor
+function withTimeout(cursor) {
+    return (_commandTimeoutMS ? cursor.maxTimeMS(_commandTimeoutMS) : cursor);
+}
+
+// Fetch up to n documents of a collection, using $sample where the server
+// supports it (3.2+) and the first n documents otherwise, optionally with only
+// the fields of a projection
+function sampleDocuments(coll, n, projection) {
+    if (serverVersionAtLeast(3, 2)) {
+        var options = (_commandTimeoutMS ? {'maxTimeMS': _commandTimeoutMS} : {});
+        var pipeline = [{'$sample': {'size': n}}];
+        if (projection) pipeline.push({'$project': projection});
+        return {'method': '$sample', 'docs': coll.aggregate(pipeline, options).toArray()};
+    }
+    return {'method': 'find', 'docs': withTimeout(coll.find({}, projection).limit(n)).toArray()};
+}
+
+// Summarize the field paths seen in a set of documents: the BSON types seen
+// for each path, how often it occurs, its nesting depth and, for arrays, their
+// lengths. Array elements are reported under "path.[]".
+function analyzeSchema(docs) {
+    var paths = {};
+    var maxDepth = 0;
+
+    function record(path, depth, v, seen) {
+        var info = paths[path];
+        if (! info) {
+            info = paths[path] = {'path': path, 'depth': depth, 'docs': 0, 'types': {}};
+        }
+        if (! seen[path]) {
+            seen[path] = true;
+            info.docs++;
+        }
+        var type = bsonType(v);
+        info.types[type] = (info.types[type] || 0) + 1;
+        if (depth > maxDepth) maxDepth = depth;
+
+        if (type == "array") {
+            if (! info.arrayLengths) {
+                info.arrayLengths = {'min': v.length, 'max': v.length, 'total': 0, 'count': 0};
+            }
+            info.arrayLengths.min = Math.min(info.arrayLengths.min, v.length);
+            info.arrayLengths.max = Math.max(info.arrayLengths.max, v.length);
+            info.arrayLengths.total += v.length;
+            info.arrayLengths.count++;
+            v.forEach(function(e) { record(path + ".[]", depth + 1, e, seen); });
+        } else if (type == "object") {
+            for (var k in v) {
+                if (v.hasOwnProperty(k)) record(path + "." + k, depth + 1, v[k], seen);
+            }
+        }
+    }
+
+    docs.forEach(function(doc) {
+        var seen = {};
+        for (var k in doc) {
+            if (doc.hasOwnProperty(k)) record(k, 1, doc[k], seen);
+        }
+    });
+
+    var fields = Object.keys(paths).sort().map(function(path) {
+        var info = paths[path];
+        var field = {
+            'path': path,
+            'types': info.types,
+            'polymorphic': Object.keys(info.types).length > 1,
+            'frequency': Math.round(info.docs / docs.length * 10000) / 100,
+            'depth': info.depth
+        };
+        if (info.arrayLengths) {
+            field['arrayLengths'] = {
+                'min': info.arrayLengths.min,
+                'max': info.arrayLengths.max,
+                'avg': Math.round(info.arrayLengths.total / info.arrayLengths.count * 100) / 100
+            };
+        }
+        return field;
+    });
+    return {'sampled': docs.length, 'maxDepth': maxDepth, 'fields': fields};
+}
+
+// Shape of a query, pipeline or sort: the field names and operators with every
+// literal replaced by "?", so that queries differing only in values group together
+function queryShape(v) {
+    var type = bsonType(v);
+    if (type == "array") {
+        // $and/$or clauses and pipeline stages keep their shape, lists of values ($in, ...) do not
+        if (v.length && v.every(function(e) { return bsonType(e) == "object"; })) return v.map(queryShape);
+        return "?";
+    }
+    if (type == "object") {
+        var shape = {};
+        for (var k in v) {
+            if (v.hasOwnProperty(k)) shape[k] = queryShape(v[k]);
+        }
+        return shape;
+    }
+    return "?";
+}
+
+// The predicate (or pipeline) and sort of a profiled operation, across the
+// profiler formats of the different versions
+function profiledQuery(entry) {
+    var cmd = entry.command || {};
+    if (entry.op == "getmore" && entry.originatingCommand) cmd = entry.originatingCommand;
+    var query = entry.query || {};
+    var predicate = cmd.filter || cmd.q || cmd.query || cmd.pipeline ||
+        query.filter || query.$query || query.query || (entry.command ? undefined : entry.query);
+    return {'predicate': predicate, 'sort': cmd.sort || query.sort || query.orderby};
+}
+
+// Slow operations from system.profile grouped by namespace, op type and query
+// shape, with their count, time spent, documents examined against returned and
+// plan summaries, the most costly first. Level 2 profiles every operation, so
+// those faster than slowms are left out
+function analyzeProfile(entries, slowms) {
+    var groups = {};
+    entries = entries.filter(function(entry) {
+        return (numberValue(entry.millis) || 0) >= slowms;
+    });
+    entries.forEach(function(entry) {
+        var query = profiledQuery(entry);
+        var cmd = entry.command || entry.originatingCommand;
+        var group = {
+            'ns': entry.ns,
+            'op': entry.op,
+            // the command of an update or remove is the statement itself
+            'command': (bsonType(cmd) == "object" && ["update", "remove", "insert"].indexOf(entry.op) < 0 ?
+                        Object.keys(cmd)[0] : null),
+            'shape': (query.predicate === undefined ? null : queryShape(query.predicate)),
+            'sort': (query.sort === undefined ? null : queryShape(query.sort))
+        };
+        var key = JSON.stringify(group);
+        if (! (key in groups)) {
+            group['count'] = 0;
+            group['totalMillis'] = 0;
+            group['maxMillis'] = 0;
+            group['docsExamined'] = 0;
+            group['keysExamined'] = 0;
+            group['nreturned'] = 0;
+            group['planSummaries'] = {};
+            groups[key] = group;
+        }
+        group = groups[key];
+        var millis = numberValue(entry.millis) || 0;
+        group.count++;
+        group.totalMillis += millis;
+        group.maxMillis = Math.max(group.maxMillis, millis);
+        // renamed from nscannedObjects and nscanned in 3.2
+        group.docsExamined += numberValue(entry.docsExamined !== undefined ? entry.docsExamined : entry.nscannedObjects) || 0;
+        group.keysExamined += numberValue(entry.keysExamined !== undefined ? entry.keysExamined : entry.nscanned) || 0;
+        group.nreturned += numberValue(entry.nreturned) || 0;
+        if (entry.planSummary) {
+            group.planSummaries[entry.planSummary] = (group.planSummaries[entry.planSummary] || 0) + 1;
+        }
+    });
+    var shapes = Object.keys(groups).map(function(key) {
+        var group = groups[key];
+        group['avgMillis'] = roundTo(group.totalMillis / group.count, 2);
+        group['examinedToReturnedRatio'] = roundTo(group.docsExamined / Math.max(group.nreturned, 1), 2);
+        group['collscan'] = Object.keys(group.planSummaries).some(function(plan) { return /COLLSCAN/.test(plan); });
+        return group;
+    });
+    shapes.sort(function(a, b) { return b.totalMillis - a.totalMillis; });
+    return {'slowms': slowms, 'entries': entries.length, 'shapes': shapes};
+}
+
+// Documents sampled to estimate the cardinality of a shard key, and recent
+// inserts checked for a monotonically increasing shard key
+var _shardKeySampleSize = 1000;
+var _recentInsertSampleSize = 100;
+// A shard holding this many times the average share of a collection's data
+// (or chunks) makes the collection unbalanced
+var _imbalanceWarnRatio = 1.5;
+
+// Sharding health of a sharded collection, from its config.collections
+// document, its chunks and tag ranges, the config.shards documents, its
+// collStats, shard key values of sampled documents and of the most recent
+// inserts (or null when its _id does not tell insertion order)
+function analyzeCollectionSharding(coll, chunks, tags, shards, stats, sampled, recent) {
+    var key = coll.key;
+    var fields = Object.keys(key);
+    var hashed = fields.some(function(k) { return key[k] === "hashed"; });
+
+    var byShard = {};
+    shards.forEach(function(shard) {
+        byShard[shard._id] = {'shard': shard._id, 'chunks': 0, 'jumboChunks': 0, 'dataSizeMB': null, 'count': null};
+    });
+    var maxKeyChunk = null;
+    chunks.forEach(function(chunk) {
+        var s = byShard[chunk.shard] = byShard[chunk.shard] ||
+            {'shard': chunk.shard, 'chunks': 0, 'jumboChunks': 0, 'dataSizeMB': null, 'count': null};
+        s.chunks++;
+        if (chunk.jumbo) s.jumboChunks++;
+        if (isKeyBound(chunk.max, "maxKey")) maxKeyChunk = chunk;
+    });
+    // data sizes in bytes; a shard collStats does not list holds none of the data
+    var dataSizes = null;
+    if (stats && stats.shards) {
+        dataSizes = {};
+        Object.keys(byShard).forEach(function(shard) {
+            var shardStats = stats.shards[shard] || {'size': 0, 'count': 0};
+            dataSizes[shard] = numberValue(shardStats.size);
+            byShard[shard].dataSizeMB = roundTo(dataSizes[shard] / (1024*1024), 2);
+            byShard[shard].count = numberValue(shardStats.count);
+        });
+    }
+    var shardNames = Object.keys(byShard).sort();
+    var perShard = shardNames.map(function(shard) { return byShard[shard]; });
+
+    // largest share of a shard over the average share
+    function imbalance(values) {
+        if (! values.length || values.some(function(n) { return ! isFinite(n); })) return null;
+        var total = values.reduce(function(a, b) { return a + b; }, 0);
+        if (! total) return null;
+        return roundTo(Math.max.apply(null, values) / (total / values.length), 2);
+    }
+
+    var cardinality = null;
+    if (sampled && sampled.length) {
+        var distinct = {};
+        sampled.forEach(function(doc) {
+            distinct[stringifyExtendedJSON(fields.map(function(k) { return valueAt(doc, k); }))] = true;
+        });
+        var n = Object.keys(distinct).length;
+        var ratio = roundTo(n / sampled.length, 4);
+        cardinality = {'sampled': sampled.length, 'distinct': n, 'distinctRatio': ratio,
+                       'estimate': (ratio >= 0.9 ? "high" : (ratio >= 0.1 && n > 1 ? "medium" : "low"))};
+    }
+
+    // all recent inserts landing in the chunk that runs up to MaxKey make for
+    // a monotonically increasing key; hashed keys spread them out anyway
+    var monotonic = {'checked': false};
+    if (! hashed && recent && recent.length > 1 && maxKeyChunk && chunks.length > 1) {
+        var inMaxKeyChunk = recent.filter(function(doc) {
+            var docKey = {};
+            fields.forEach(function(k) {
+                var v = valueAt(doc, k);
+                docKey[k] = (v === undefined ? null : v);
+            });
+            return compareKeys(docKey, maxKeyChunk.min) >= 0;
+        }).length;
+        monotonic = {'checked': true, 'recentInserts': recent.length, 'inMaxKeyChunk': inMaxKeyChunk,
+                     'suspected': inMaxKeyChunk == recent.length};
+    }
+
+    var zoneTags = [];
+    tags.forEach(function(tag) {
+        if (zoneTags.indexOf(tag.tag) < 0) zoneTags.push(tag.tag);
+    });
+    var zoneProblems = rangeProblems(tags, true);
+    var coverage = (! tags.length ? "none" : (zoneProblems.gaps.length ? "partial" : "full"));
+
+    return {
+        'ns': coll._id,
+        'shardKey': key,
+        'unique': coll.unique || false,
+        'hashed': hashed,
+        'cardinality': cardinality,
+        'chunks': chunks.length,
+        'jumboChunks': chunks.filter(function(chunk) { return chunk.jumbo; }).length,
+        'shards': perShard,
+        'chunkImbalanceRatio': imbalance(perShard.map(function(s) { return s.chunks; })),
+        'dataImbalanceRatio': (dataSizes ? imbalance(shardNames.map(function(shard) { return dataSizes[shard]; })) : null),
+        'zones': {'tags': zoneTags, 'ranges': tags.length, 'coverage': coverage},
+        'monotonicKey': monotonic
+    };
+}
+
+// Sharding of a database, summed up from the sharding summaries of its
+// collections; shardedNamespaces are those of its config.collections entries
+function summarizeDatabaseSharding(dbDoc, collections, summaries, shardedNamespaces) {
+    var shards = {};
+    summaries.forEach(function(summary) {
+        summary.shards.forEach(function(s) {
+            var total = shards[s.shard] = shards[s.shard] || {'shard': s.shard, 'chunks': 0, 'jumboChunks': 0, 'dataSizeMB': 0};
+            total.chunks += s.chunks;
+            total.jumboChunks += s.jumboChunks;
+            if (isFinite(s.dataSizeMB) && s.dataSizeMB !== null) total.dataSizeMB = roundTo(total.dataSizeMB + s.dataSizeMB, 2);
+        });
+    });
+    return {
+        'database': dbDoc._id,
+        'primary': dbDoc.primary,
+        'partitioned': dbDoc.partitioned || false,
+        'shardedCollections': shardedNamespaces,
+        'unshardedCollections': collections.filter(function(name) {
+            return shardedNamespaces.indexOf(dbDoc._id + "." + name) < 0;
+        }).length,
+        'hashedShardKeys': summaries.filter(function(summary) { return summary.hashed; }).length,
+        'shards': Object.keys(shards).sort().map(function(shard) { return shards[shard]; })
+    };
+}
+
+// The config.collections document of a sharded collection, or null when it
+// is not sharded; MongoDB 5.0 and later drop the "dropped" flag
+function shardedCollection(ns) {
+    var coll = db.getSiblingDB("config").getCollection("collections").findOne({'_id': ns});
+    return (coll && coll.dropped !== true ? coll : null);
+}
+
+// The config.chunks query for the chunks of a sharded collection, which name
+// their collection by UUID from MongoDB 5.0
+function chunksQuery(coll) {
+    return (coll.uuid ? {'$or': [{'ns': coll._id}, {'uuid': coll.uuid}]} : {'ns': coll._id});
+}
+
+// A size the way the shell's getShardDistribution() prints it
+function dataFormat(bytes) {
+    if (bytes < 1024) return Math.floor(bytes) + "B";
+    if (bytes < 1024 * 1024) return Math.floor(bytes / 1024) + "KiB";
+    if (bytes < 1024 * 1024 * 1024) return Math.floor((Math.floor(bytes / 1024) / 1024) * 100) / 100 + "MiB";
+    return Math.floor((Math.floor(bytes / (1024 * 1024)) / 1024) * 100) / 100 + "GiB";
+}
+
+// The lines of the shell's getShardDistribution(), from the collStats already
+// run for the collection and chunk counts bounded by _commandTimeoutMS
+function shardDistribution(ns, coll, stats) {
+    if (! coll || ! stats.sharded || ! stats.shards) return ["Collection " + ns + " is not sharded."];
+    var configDB = db.getSiblingDB("config");
+    var lines = [];
+    var numChunks = 0;
+    var shards = Object.keys(stats.shards);
+    shards.forEach(function(shard) {
+        var shardDoc = configDB.shards.findOne({'_id': shard});
+        var size = numberValue(stats.shards[shard].size);
+        var count = numberValue(stats.shards[shard].count);
+        var chunks = numberValue(runCommandWithTimeout(configDB, {'count': "chunks", 'query': {'$and': [chunksQuery(coll), {'shard': shard}]}}).n);
+        numChunks += chunks;
+        lines.push("", "Shard " + shard + " at " + (shardDoc ? shardDoc.host : "(unknown)"));
+        lines.push(" data : " + dataFormat(size) + " docs : " + count + " chunks : " + chunks);
+        lines.push(" estimated data per chunk : " + dataFormat(chunks ? size / chunks : 0));
+        lines.push(" estimated docs per chunk : " + (chunks ? Math.floor(count / chunks) : 0));
+    });
+    var totalSize = numberValue(stats.size);
+    var totalCount = numberValue(stats.count);
+    lines.push("", "Totals", " data : " + dataFormat(totalSize) + " docs : " + totalCount + " chunks : " + numChunks);
+    shards.forEach(function(shard) {
+        var shardStats = stats.shards[shard];
+        var dataPercent = (totalSize ? Math.floor(numberValue(shardStats.size) / totalSize * 10000) / 100 : 0);
+        var docPercent = (totalCount ? Math.floor(numberValue(shardStats.count) / totalCount * 10000) / 100 : 0);
+        lines.push(" Shard " + shard + " contains " + dataPercent + "% data, " + docPercent + "% docs in cluster, " +
+                   "avg obj size on shard : " + dataFormat(numberValue(shardStats.avgObjSize) || 0));
+    });
+    return lines;
+}
+
+// The chunks, tag ranges and sampled shard key values of a sharded
+// collection, given its config.collections document, to analyze with
+// analyzeCollectionSharding(), or null when the collection is not sharded
+function collectionSharding(dbName, collName, coll, shards, stats) {
+    if (! coll) return null;
+    var configDB = db.getSiblingDB("config");
+    var ns = coll._id;
+    var chunks = withTimeout(configDB.chunks.find(chunksQuery(coll), {'min': 1, 'max': 1, 'shard': 1, 'jumbo': 1})).toArray();
+    var tags = configDB.tags.find({'ns': ns}).toArray();
+
+    var projection = {'_id': 1};
+    Object.keys(coll.key).forEach(function(k) { projection[k] = 1; });
+    var target = db.getSiblingDB(dbName).getCollection(collName);
+    var sampled = sampleDocuments(target, _shardKeySampleSize, projection).docs;
+    // ObjectId _ids tell the order documents were inserted in
+    var recent = null;
+    var last = withTimeout(target.find({}, projection).sort({'_id': -1}).limit(_recentInsertSampleSize)).toArray();
+    if (last.length && bsonType(last[0]._id) == "objectId") recent = last;
+    return analyzeCollectionSharding(coll, chunks, tags, shards, stats, sampled, recent);
+}
+
+function printDataInfo(isMongoS) {
+    section = "data_info";
+    var engine = null;
+    if (! isMongoS) {
+        try {
+            engine = storageEngineName();
+        } catch(err) {
+            // no Storage stats then
+        }
+    }
+    var dbs = printInfoOrRun('List of databases',
+                             function(){return runCommandWithTimeout(db.getSiblingDB('admin'), {'listDatabases': 1})}, section);
+
+    var shards = null;
+    if (isMongoS) {
+        try {
+            shards = db.getSiblingDB("config").shards.find().toArray();
+        } catch(err) {
+            // no Sharding summary then
+        }
+    }
+
+    if (dbs && dbs.databases) {
+        dbs.databases.forEach(function(mydb) {
+            if (! isDBSelected(mydb.name)) return;
+            var shardingSummaries = [];
+            _context = {'database': mydb.name};
+            var collections = printInfoOrRun("List of collections for database '"+ mydb.name +"'",
+                                             function(){return db.getSiblingDB(mydb.name).getCollectionNames()}, section);
+
+            printInfo('Database stats (MB)',
+                      function(){return runCommandWithTimeout(db.getSiblingDB(mydb.name), {'dbStats': 1, 'scale': 1024*1024})}, section);
+            if (!isMongoS) {
+                var profiling = printInfoOrRun('Database profiler',
+                                               function(){return db.getSiblingDB(mydb.name).getProfilingStatus()}, section);
+                // profiling may have been turned off since, with the profile still there
+                if ((profiling && profiling.was > 0) || (collections && collections.indexOf("system.profile") >= 0)) {
+                    printInfo('Slow query summary',
+                              function(){
+                                  var profile = db.getSiblingDB(mydb.name).getCollection("system.profile");
+                                  var slowms = (profiling && profiling.slowms != null ? numberValue(profiling.slowms) : 100);
+                                  var slow = profile.find({'millis': {'$gte': slowms}}).sort({'$natural': -1}).limit(_profileSampleSize);
+                                  return analyzeProfile(withTimeout(slow).toArray(), slowms);
+                              }, section);
+                }
+            }
+
+            if (collections) {
+                collections.forEach(function(col) {
+                    if (! isCollectionSelected(mydb.name, col)) return;
+                    _context = {'database': mydb.name, 'collection': col};
+                    _collectionDeadline = (_collectionTimeBudgetMS ? new Date().getTime() + _collectionTimeBudgetMS : null);
+                    // one collStats, the slowest command per collection, for all that need it
+                    var collStats = once(function(){return runCommandWithTimeout(db.getSiblingDB(mydb.name), {'collStats': col, 'indexDetails': true})});
+                    var unscaledStats = function() {
+                        try {
+                            return collStats();
+                        } catch(err) {
+                            return null;
+                        }
+                    };
+                    var shardedColl = null;
+                    if (isMongoS) {
+                        try {
+                            shardedColl = shardedCollection(mydb.name + "." + col);
+                        } catch(err) {
+                            // taken as not sharded
+                        }
+                    }
+                    var stats = printInfoOrRun('Collection stats (MB)',
+                                               function(){return scaleCollStats(collStats(), 1024*1024)}, section);
+                    // collStats has no WiredTiger details for other engines; a mongos
+                    // gets each shard's
+                    if (isMongoS || engine == "wiredTiger") {
+                        printInfo('Storage stats',
+                                  function(){return analyzeCollectionStorage(collStats())}, section);
+                    }
+                    if (isMongoS) {
+                        printInfo('Shard distribution',
+                                  function(){return {'output': shardDistribution(mydb.name + "." + col, shardedColl, collStats())}}, section);
+                        if (shards && shardedColl) {
+                            var summary = printInfoOrRun('Sharding summary',
+                                                         function(){return collectionSharding(mydb.name, col, shardedColl, shards, unscaledStats())}, section);
+                            if (summary) shardingSummaries.push(summary);
+                        }
+                    }
+                    var indexes = printInfoOrRun('Indexes',
+                                                 function(){return collectionIndexes(db.getSiblingDB(mydb.name), col)}, section);
+                    var schema = null;
+                    if (col != "system.users") {
+                        var sampleDoc = printInfoOrRun('Sample document',
+                                  function(){
+					var lastValCursor = withTimeout(db.getSiblingDB(mydb.name).getCollection(col).find().sort({'$natural': -1}).limit(-1));
+					if (lastValCursor.hasNext()) {
+						return lastValCursor.next()
+					}
+					else {
+						return null;
+					}
+				  }, section);
+                        if (sampleDoc) schema = analyzeSchema([sampleDoc]);
+                        if (_schemaSampleSize > 0) {
+                            schema = printInfoOrRun('Schema analysis',
+                                      function(){
+                                          var sample = sampleDocuments(db.getSiblingDB(mydb.name).getCollection(col), _schemaSampleSize);
+                                          var schema = analyzeSchema(sample.docs);
+                                          schema['method'] = sample.method;
+                                          return schema;
+                                      }, section) || schema;
+                        }
+                    }
+                    if (indexes instanceof Array) {
+                        printInfo('Index analysis',
+                                  function(){
+                                      return analyzeIndexes(indexes, unscaledStats(), schema, shardedColl ? shardedColl.key : null);
+                                  }, section);
+                    }
+                });
+                _collectionDeadline = null;
+            }
+            if (isMongoS && shards) {
+                _context = {'database': mydb.name};
+                printInfo('Database sharding summary',
+                          function(){
+                              var configDB = db.getSiblingDB("config");
+                              var dbDoc = configDB.databases.findOne({'_id': mydb.name}) || {'_id': mydb.name};
+                              var shardedNamespaces = [];
+                              var prefix = mydb.name.replace(/[.*+?^${}()|[\]\\\/]/g, "\\$&");
+                              configDB.collections.find({'_id': new RegExp("^" + prefix + "\\.")}).sort({'_id': 1}).forEach(function(coll) {
+                                  if (coll.dropped !== true) shardedNamespaces.push(coll._id);
+                              });
+                              return summarizeDatabaseSharding(dbDoc, collections || [], shardingSummaries, shardedNamespaces);
+                          }, section);
+            }
+        });
+        _context = {};
+    }
+}
+
+function printShardOrReplicaSetInfo() {
+    section = "shard_or_replicaset_info";
+    printInfo('isMaster', function(){return db.isMaster()}, section);
+    var state;
+    var stateInfo = replicaSetStatus();
     if (stateInfo.ok) {
         stateInfo.members.forEach( function( member ) { if ( member.self ) { state = member.stateStr; } } );
         if ( !state ) state = stateInfo.myState;
@@ -337,38 +2225,1132 @@ function printShardOrReplicaSetInfo() {
     }
     if (! _printJSON) print("\n** Connected to " + state);
     if (state == "mongos") {
-        printShardInfo();
+        if (isSectionSelected("shard_info")) printShardInfo();
         return true;
     } else if (state != "standalone" && state != "configsvr") {
         if (state == "SECONDARY" || state == 2) {
-            rs.slaveOk();
+            allowSecondaryReads(db.getMongo());
         }
-        printReplicaSetInfo();
+        if (isSectionSelected("replicaset_info")) printReplicaSetInfo();
     }
     return false;
 }
 
+// Connections to cluster members, by host
+var _memberConnections = {};
+
+// Connect to a cluster member, authenticating with _memberAuth if set
+function connectMember(host) {
+    if (! (host in _memberConnections)) {
+        var conn = new Mongo(_isMongosh ? "mongodb://" + host + "/?directConnection=true" : host);
+        if (_memberAuth) {
+            if (_memberAuth.pwd === undefined) {
+                _memberAuth.pwd = passwordPrompt();
+            }
+            // copy authDoc as we do not want auth to modify the original SERVER-11626
+            var authDoc = {};
+            for (var k in _memberAuth) {
+                if (k != "db") authDoc[k] = _memberAuth[k];
+            }
+            // 1 from the legacy shell, {ok: 1} from mongosh
+            var res = conn.getDB(_memberAuth.db || "admin").auth(authDoc);
+            if (res != 1 && !(res && res.ok == 1)) {
+                throw Error("authentication failed on " + host);
+            }
+        }
+        allowSecondaryReads(conn);
+        _memberConnections[host] = conn;
+    }
+    return _memberConnections[host];
+}
+
+// Hosts of the replica set behind a "set/host:port,host:port" seed list, from
+// the config of the first seed that answers; plain host lists (standalone
+// shards, mirrored config servers) are returned as they are
+function replicaSetHosts(seedList) {
+    var slash = seedList.indexOf("/");
+    var seeds = seedList.slice(slash + 1).split(",");
+    if (slash < 0) return seeds;
+    for (var i = 0; i < seeds.length; i++) {
+        try {
+            var res = runCommandReply(connectMember(seeds[i]).getDB("admin"), {'replSetGetConfig': 1});
+            var conf = (res.ok ? res.config : connectMember(seeds[i]).getDB("local").system.replset.findOne());
+            if (conf) {
+                return conf.members.map(function(member) { return member.host; });
+            }
+        } catch(err) {
+            // try the next seed
+        }
+    }
+    return seeds;
+}
+
+// Every shard member and config server of a sharded cluster, or every member
+// of the replica set, as [{host, shard}]
+function clusterMembers(isMongoS) {
+    var members = [];
+    if (isMongoS) {
+        db.getSiblingDB("config").shards.find().sort({'_id': 1}).forEach(function(shard) {
+            replicaSetHosts(shard.host).forEach(function(host) {
+                members.push({'host': host, 'shard': shard._id});
+            });
+        });
+        var opts = db.serverCmdLineOpts();
+        if (opts.parsed && opts.parsed.sharding && opts.parsed.sharding.configDB) {
+            replicaSetHosts(opts.parsed.sharding.configDB).forEach(function(host) {
+                members.push({'host': host, 'shard': "config"});
+            });
+        }
+    } else {
+        rs.conf().members.forEach(function(member) {
+            members.push({'host': member.host, 'shard': null});
+        });
+    }
+    return members;
+}
+
+function printMemberInfo(isMongoS) {
+    section = "member_info";
+    var members = printInfoOrRun('Cluster members', function(){return clusterMembers(isMongoS)}, section);
+    if (! members) return;
+    members.forEach(function(member) {
+        _context = {'member': member.host, 'shard': member.shard};
+        if (! _printJSON) {
+            print("\n** Member " + member.host + (member.shard ? " (" + member.shard + ")" : "") + ":");
+        }
+        var conn = null;
+        printInfoOrRun('Member connection', function(){
+            conn = connectMember(member.host);
+            return {'host': member.host, 'shard': member.shard};
+        }, section);
+        if (conn) {
+            var admin = conn.getDB("admin");
+            printInfo('Server status info', function(){return admin.serverStatus()}, section);
+            printInfo('Host info',          function(){return admin.hostInfo()}, section);
+            printInfo('Command line info',  function(){return admin.serverCmdLineOpts()}, section);
+            printInfo('Server build info',  function(){return admin.serverBuildInfo()}, section);
+            printInfo('Replica status',     function(){return runCommandReply(admin, {'replSetGetStatus': 1})}, section);
+            printInfo('Startup warnings',   function(){return runCommandReply(admin, {'getLog': 'startupWarnings'})}, section);
+        }
+    });
+    _context = {};
+}
+
 function printAuthInfo() {
     section = "auth_info";
     db = db.getSiblingDB('admin');
-    printInfo('Users', function(){return db.getUsers()}, section);
-    printInfo('Custom roles', function(){return db.getRoles()}, section);
+    printInfo('Users', function(){return replyArray(db.getUsers(), 'users')}, section);
+    printInfo('Custom roles', function(){return replyArray(db.getRoles(), 'roles')}, section);
+}
+
+// Built-in roles that grant every privilege, or one on every database
+var _privilegedRoles = /^(root|__system|.*AnyDatabase)$/;
+
+// A value of the parsed command line options, by dotted path
+function parsedOption(opts, path) {
+    return path.split(".").reduce(function(v, k) {
+        return (v !== null && v !== undefined && typeof v === "object" ? v[k] : undefined);
+    }, (opts && opts.parsed) || {});
+}
+
+// Security checks over the command line options, server parameters, users
+// (with their authentication mechanisms) and custom roles (with their
+// privileges), each marked "pass", "warn" or "fail". Inputs that could not be
+// read are passed as null and their checks are marked "warn".
+function analyzeSecurity(opts, params, users, roles, version) {
+    var checks = [];
+    function check(name, status, detail, extra) {
+        var c = {'check': name, 'status': status, 'detail': detail};
+        for (var k in extra || {}) {
+            if (extra.hasOwnProperty(k)) c[k] = extra[k];
+        }
+        checks.push(c);
+    }
+    var argv = (opts && opts.argv instanceof Array ? opts.argv : []);
+    var v = (version || "0.0").split(".").map(Number);
+
+    // authentication: a keyFile or x509 cluster authentication turns it on too
+    var auth = null;
+    if (opts) {
+        auth = parsedOption(opts, "security.authorization") == "enabled" || argv.indexOf("--auth") >= 0 ||
+            parsedOption(opts, "security.keyFile") !== undefined ||
+            (parsedOption(opts, "security.clusterAuthMode") || "keyFile").indexOf("x509") >= 0;
+        check("authentication", auth ? "pass" : "fail",
+              auth ? "access control is enabled" : "access control is not enabled");
+    } else {
+        check("authentication", "warn", "command line options could not be read");
+    }
+
+    // TLS, named SSL before MongoDB 4.2
+    if (opts) {
+        var tlsMode = parsedOption(opts, "net.tls.mode") || parsedOption(opts, "net.ssl.mode") || "disabled";
+        var tlsStatus = (/^require/.test(tlsMode) ? "pass" : (tlsMode == "disabled" ? "fail" : "warn"));
+        check("tls", tlsStatus, "TLS mode is " + tlsMode, {'mode': tlsMode});
+    } else {
+        check("tls", "warn", "command line options could not be read");
+    }
+
+    // bind IP, all interfaces by default before MongoDB 3.6
+    if (opts) {
+        var bindIp = parsedOption(opts, "net.bindIp");
+        var all = parsedOption(opts, "net.bindIpAll") === true ||
+            (bindIp === undefined && (v[0] < 3 || (v[0] == 3 && v[1] < 6))) ||
+            (bindIp !== undefined && String(bindIp).split(",").some(function(ip) {
+                return ["0.0.0.0", "::", "*"].indexOf(ip.trim()) >= 0;
+            }));
+        var bindStatus = (all ? (auth ? "warn" : "fail") : "pass");
+        check("bind_ip", bindStatus,
+              all ? "listening on all interfaces" + (auth ? "" : " without access control") :
+                    "listening on " + (bindIp === undefined ? "localhost" : bindIp),
+              {'bindIp': (bindIp === undefined ? null : bindIp), 'bindIpAll': all});
+    } else {
+        check("bind_ip", "warn", "command line options could not be read");
+    }
+
+    // users with privileges over the whole deployment
+    if (users) {
+        var privileged = users.filter(function(user) {
+            return (user.roles || []).some(function(role) { return _privilegedRoles.test(role.role); });
+        }).map(function(user) {
+            return {'user': user.user, 'db': user.db, 'roles': user.roles.filter(function(role) {
+                return _privilegedRoles.test(role.role);
+            }).map(function(role) { return role.role; })};
+        });
+        check("privileged_users", privileged.length ? "warn" : "pass",
+              privileged.length + " user(s) with root, __system or any database roles", {'users': privileged});
+
+        // users without SCRAM-SHA-256 credentials, which need MongoDB 4.0, as
+        // does usersInfo reporting the mechanisms
+        if (v[0] >= 4) {
+            var weak = users.filter(function(user) {
+                var mechanisms = user.mechanisms || [];
+                if (! mechanisms.length || user.db == "$external") return false;
+                return mechanisms.indexOf("SCRAM-SHA-256") < 0;
+            }).map(function(user) {
+                return {'user': user.user, 'db': user.db, 'mechanisms': user.mechanisms};
+            });
+            check("weak_credentials", weak.length ? (weak.some(function(u) {
+                      return u.mechanisms.indexOf("MONGODB-CR") >= 0;
+                  }) ? "fail" : "warn") : "pass",
+                  weak.length + " user(s) with only SCRAM-SHA-1 or MONGODB-CR credentials", {'users': weak});
+        }
+    } else {
+        check("privileged_users", "warn", "users could not be read");
+        if (v[0] >= 4) check("weak_credentials", "warn", "users could not be read");
+    }
+
+    // custom roles allowed any action
+    if (roles) {
+        var anyAction = roles.filter(function(role) {
+            return (role.privileges || []).some(function(p) { return (p.actions || []).indexOf("anyAction") >= 0; });
+        }).map(function(role) { return {'role': role.role, 'db': role.db}; });
+        check("any_action_roles", anyAction.length ? "warn" : "pass",
+              anyAction.length + " custom role(s) granting anyAction", {'roles': anyAction});
+    } else {
+        check("any_action_roles", "warn", "custom roles could not be read");
+    }
+
+    // audit log, MongoDB Enterprise only
+    if (opts) {
+        var audit = parsedOption(opts, "auditLog");
+        check("audit_log", audit && audit.destination ? "pass" : "warn",
+              audit && audit.destination ? "audit log goes to " + audit.destination : "audit log is not configured",
+              {'auditLog': audit || null});
+    } else {
+        check("audit_log", "warn", "command line options could not be read");
+    }
+
+    // localhost exception, open while access control is on and no user exists
+    if (params && params.enableLocalhostAuthBypass !== undefined) {
+        var bypass = params.enableLocalhostAuthBypass;
+        var open = bypass && auth && users !== null && users.length == 0;
+        check("localhost_exception", open ? "fail" : (bypass && users === null ? "warn" : "pass"),
+              ! bypass ? "localhost exception is disabled" :
+                  (open ? "localhost exception is open, no user exists" :
+                      (users === null ? "localhost exception is enabled, users could not be read" :
+                          "localhost exception is enabled, closed once users exist")),
+              {'enableLocalhostAuthBypass': bypass});
+    } else {
+        check("localhost_exception", "warn", "server parameters could not be read");
+    }
+
+    var summary = {'pass': 0, 'warn': 0, 'fail': 0};
+    checks.forEach(function(c) { summary[c.status]++; });
+    return {'summary': summary, 'checks': checks};
 }
 
+function printSecurityInfo() {
+    section = "security_info";
+    printInfo('Security audit', function(){
+        var admin = db.getSiblingDB('admin');
+        var opts = runCommandReply(admin, {'getCmdLineOpts': 1});
+        var params = runCommandReply(admin, {'getParameter': '*'});
+        var users = runCommandReply(admin, {'usersInfo': {'forAllDBs': true}});
+        var roles = null;
+        try {
+            roles = admin.getCollection("system.roles").find().toArray();
+        } catch(err) {
+            // not authorized to read them
+        }
+        return analyzeSecurity(opts.ok ? opts : null, params.ok ? params : null,
+                               users.ok ? replyArray(users, 'users') : null, roles, serverVersion());
+    }, section);
+}
+
+// The collected (or loaded) docs of a section/subsection that have output;
+// renderMongoData.js and diffMongoData.js use these and readReport() too
+function reportDocs(docs, section, subsection) {
+    return docs.filter(function(doc) {
+        return doc.section == section && (subsection === undefined || doc.subsection == subsection) &&
+            doc.output !== null && doc.output !== undefined;
+    });
+}
+
+// The output of the first doc of a section/subsection, or null if it was not collected
+function reportOutput(docs, section, subsection) {
+    var found = reportDocs(docs, section, subsection);
+    return (found.length ? found[0].output : null);
+}
+
+// The cluster member a doc was collected from, or the host the report ran on
+function docHost(doc) {
+    return doc.member || doc.host;
+}
+
+// Index key as a list of "field:direction" strings, with numeric directions
+// normalized so that 1, 1.0 and NumberInt(1) compare equal
+function keyFields(key) {
+    return Object.keys(key).map(function(k) {
+        var v = key[k];
+        return k + ":" + (typeof v === "string" ? v : Number(v));
+    });
+}
+
+// Index key fields with every direction reversed
+function reversedKeyFields(key) {
+    return Object.keys(key).map(function(k) {
+        var v = key[k];
+        return k + ":" + (typeof v === "string" ? v : -Number(v));
+    });
+}
+
+// Whether an index is a plain B-tree over all its documents: not sparse,
+// partial or TTL, and without hashed, text or geo fields
+function plainIndex(index) {
+    if (index.sparse || index.partialFilterExpression || index.expireAfterSeconds !== undefined) return false;
+    return Object.keys(index.key).every(function(k) { return typeof index.key[k] !== "string"; });
+}
+
+// Indexes whose key is a prefix of another index's key (same fields, same
+// directions or all of them reversed, as an index can be walked backwards).
+// Both must be plain indexes with the same collation, as others cannot serve
+// the same queries; unique indexes also enforce a constraint, so they stay.
+function redundantIndexes(indexes) {
+    var ret = [];
+    indexes.forEach(function(index) {
+        if (index.unique || !plainIndex(index)) return;
+        var fields = keyFields(index.key);
+        var reversed = reversedKeyFields(index.key);
+        var collation = stringifyExtendedJSON(index.collation || null);
+        if (fields.length == 1 && fields[0] == "_id:1") return;
+        indexes.some(function(other) {
+            if (other === index || !plainIndex(other)) return false;
+            if (stringifyExtendedJSON(other.collation || null) != collation) return false;
+            var otherFields = keyFields(other.key);
+            if (otherFields.length <= fields.length) return false;
+            var prefix = otherFields.slice(0, fields.length).join();
+            if (prefix != fields.join() && prefix != reversed.join()) return false;
+            ret.push({'index': index.name, 'key': index.key, 'coveredBy': other.name, 'coveredByKey': other.key});
+            return true;
+        });
+    });
+    return ret;
+}
+
+// Arrays longer than this make an index entry per element worth flagging
+var _largeIndexedArray = 100;
+
+// Indexes with the same key under different names, by key; the same key may
+// be indexed again with another collation or partial filter
+function duplicateIndexes(indexes) {
+    var byKey = {};
+    indexes.forEach(function(index) {
+        var k = keyFields(index.key).join() + " " + stringifyExtendedJSON([index.collation || null,
+                                                                         index.partialFilterExpression || null]);
+        (byKey[k] = byKey[k] || []).push(index);
+    });
+    return Object.keys(byKey).filter(function(k) { return byKey[k].length > 1; }).map(function(k) {
+        var same = byKey[k];
+        return {'key': same[0].key, 'indexes': same.map(function(index) { return index.name; })};
+    });
+}
+
+// The arrays of a schema analysis, by field path with the "[]" steps taken
+// out so that they compare with index key paths
+function schemaArrays(schema) {
+    var arrays = {};
+    (schema && schema.fields || []).forEach(function(field) {
+        if (field.arrayLengths) arrays[field.path.replace(/\.\[\]/g, "")] = field.arrayLengths;
+    });
+    return arrays;
+}
+
+// The BSON types a schema analysis saw for a field path, including the
+// elements of arrays found at that path
+function schemaTypes(schema, path) {
+    var types = {};
+    (schema && schema.fields || []).forEach(function(field) {
+        var p = field.path.replace(/\.\[\]/g, "");
+        if (p != path) return;
+        for (var t in field.types) {
+            if (field.types.hasOwnProperty(t) && t != "array") types[t] = (types[t] || 0) + field.types[t];
+        }
+    });
+    return types;
+}
+
+// Whether an index key starts with the fields of a shard key
+function hasShardKeyPrefix(key, shardKey) {
+    var fields = Object.keys(key);
+    return Object.keys(shardKey).every(function(k, i) { return fields[i] == k; });
+}
+
+// Health of the indexes of a collection: redundant and duplicate indexes,
+// indexes over large arrays, TTL indexes on fields that are not dates, unique
+// indexes that do not start with the shard key, and index sizes against the
+// data size. The schema is an analyzeSchema() of sampled documents, stats the
+// unscaled collStats output and shardKey the key of a sharded collection (or null).
+function analyzeIndexes(indexes, stats, schema, shardKey) {
+    var arrays = schemaArrays(schema);
+    var largeArrays = [];
+    var ttlNotDate = [];
+    var uniqueWithoutShardKey = [];
+
+    indexes.forEach(function(index) {
+        Object.keys(index.key).forEach(function(field) {
+            var steps = field.split(".");
+            for (var i = 1; i <= steps.length; i++) {
+                var path = steps.slice(0, i).join(".");
+                if (arrays[path] && arrays[path].max > _largeIndexedArray) {
+                    largeArrays.push({'index': index.name, 'field': field, 'array': path,
+                                      'arrayLengths': arrays[path]});
+                    return;
+                }
+            }
+        });
+        if (index.expireAfterSeconds !== undefined) {
+            var field = Object.keys(index.key)[0];
+            var types = schemaTypes(schema, field);
+            var other = Object.keys(types).filter(function(t) { return t != "date"; });
+            if (other.length) {
+                ttlNotDate.push({'index': index.name, 'field': field, 'types': types});
+            }
+        }
+        if (shardKey && index.unique && keyFields(index.key).join() != "_id:1" &&
+                ! hasShardKeyPrefix(index.key, shardKey)) {
+            uniqueWithoutShardKey.push({'index': index.name, 'key': index.key, 'shardKey': shardKey});
+        }
+    });
+
+    var ret = {
+        'redundant': redundantIndexes(indexes),
+        'duplicates': duplicateIndexes(indexes),
+        'largeArrays': largeArrays,
+        'ttlNotDate': ttlNotDate,
+        'uniqueWithoutShardKey': uniqueWithoutShardKey
+    };
+    // ratios from the sizes in bytes, sizes reported in MB
+    if (stats && stats.indexSizes) {
+        var scale = 1024*1024;
+        var dataSize = numberValue(stats.size);
+        var totalIndexSize = numberValue(stats.totalIndexSize);
+        ret['sizes'] = {
+            'scaleFactor': scale,
+            'dataSize': roundTo(dataSize / scale, 2),
+            'totalIndexSize': roundTo(totalIndexSize / scale, 2),
+            'indexToDataRatio': (dataSize > 0 ? roundTo(totalIndexSize / dataSize, 2) : null),
+            'indexes': Object.keys(stats.indexSizes).map(function(name) {
+                var size = numberValue(stats.indexSizes[name]);
+                return {'index': name, 'size': roundTo(size / scale, 2),
+                        'percentOfData': (dataSize > 0 ? percentOf(size, dataSize) : null)};
+            })
+        };
+    }
+    return ret;
+}
+
+// Health check rules, evaluated over the collected _output at the end of the
+// report. A rule's check(docs) returns a list of findings, each an object with
+// at least a 'message'; the rule's severity is used unless the finding sets one.
+// More rules can be passed in with --eval as _extraRules, and rules can be
+// turned off by name (or pattern) with _skipRules. A rule's inputs name the
+// "section.subsection"s it reads, so that in _printNDJSON mode only those docs
+// are kept; a rule without inputs keeps every doc.
+var _severities = ["critical", "warning", "info"];
+var _rules = [];
+
+function addRule(name, severity, description, inputs, check) {
+    _rules.push({'name': name, 'severity': severity, 'description': description, 'inputs': inputs, 'check': check});
+}
+
+addRule("oplog_window", "warning", "Replica set oplog window is shorter than 24 hours",
+        ["replicaset_info.replica_info"], function(docs) {
+    return reportDocs(docs, "replicaset_info", "replica_info").filter(function(doc) {
+        return doc.output.timeDiffHours !== undefined && doc.output.timeDiffHours < 24;
+    }).map(function(doc) {
+        return {'host': docHost(doc), 'oplogWindowHours': doc.output.timeDiffHours,
+                'message': "oplog window is " + doc.output.timeDiffHours + " hours"};
+    });
+});
+
+addRule("even_voting_members", "warning", "Replica set has an even number of voting members",
+        ["replicaset_info.replica_set_config"], function(docs) {
+    return reportDocs(docs, "replicaset_info", "replica_set_config").filter(function(doc) {
+        return doc.output.members instanceof Array;
+    }).map(function(doc) {
+        var voters = doc.output.members.filter(function(m) { return m.votes === undefined || m.votes > 0; });
+        return {'host': docHost(doc), 'replicaSet': doc.output._id, 'votingMembers': voters.length,
+                'message': "replica set " + doc.output._id + " has " + voters.length + " voting members"};
+    }).filter(function(finding) {
+        return finding.votingMembers % 2 == 0;
+    });
+});
+
+addRule("missing_id_index", "warning", "Collection has no _id index",
+        ["data_info.indexes"], function(docs) {
+    return reportDocs(docs, "data_info", "indexes").filter(function(doc) {
+        return doc.output instanceof Array && doc.collection != "system.profile" &&
+            ! doc.output.some(function(index) { return keyFields(index.key).join() == "_id:1"; });
+    }).map(function(doc) {
+        var ns = doc.database + "." + doc.collection;
+        return {'host': docHost(doc), 'ns': ns, 'message': ns + " has no _id index"};
+    });
+});
+
+addRule("too_many_indexes", "warning", "Collection is at the limit of 64 indexes",
+        ["data_info.indexes"], function(docs) {
+    return reportDocs(docs, "data_info", "indexes").filter(function(doc) {
+        return doc.output instanceof Array && doc.output.length >= 64;
+    }).map(function(doc) {
+        var ns = doc.database + "." + doc.collection;
+        return {'host': docHost(doc), 'ns': ns, 'indexes': doc.output.length,
+                'message': ns + " has " + doc.output.length + " indexes"};
+    });
+});
+
+addRule("redundant_prefix_index", "info", "Index is a prefix of another index",
+        ["data_info.indexes"], function(docs) {
+    var findings = [];
+    reportDocs(docs, "data_info", "indexes").forEach(function(doc) {
+        if (! (doc.output instanceof Array)) return;
+        var ns = doc.database + "." + doc.collection;
+        redundantIndexes(doc.output).forEach(function(r) {
+            findings.push({'host': docHost(doc), 'ns': ns, 'index': r.index, 'coveredBy': r.coveredBy,
+                           'message': ns + " index " + r.index + " is a prefix of " + r.coveredBy});
+        });
+    });
+    return findings;
+});
+
+addRule("duplicate_index", "warning", "Indexes have the same key under different names",
+        ["data_info.index_analysis"], function(docs) {
+    var findings = [];
+    reportDocs(docs, "data_info", "index_analysis").forEach(function(doc) {
+        var ns = doc.database + "." + doc.collection;
+        (doc.output.duplicates || []).forEach(function(d) {
+            findings.push({'host': docHost(doc), 'ns': ns, 'indexes': d.indexes,
+                           'message': ns + " indexes " + d.indexes.join(", ") + " have the same key"});
+        });
+    });
+    return findings;
+});
+
+addRule("large_indexed_array", "warning", "Index is built over large arrays",
+        ["data_info.index_analysis"], function(docs) {
+    var findings = [];
+    reportDocs(docs, "data_info", "index_analysis").forEach(function(doc) {
+        var ns = doc.database + "." + doc.collection;
+        (doc.output.largeArrays || []).forEach(function(a) {
+            findings.push({'host': docHost(doc), 'ns': ns, 'index': a.index, 'field': a.field,
+                           'message': ns + " index " + a.index + " is over array " + a.array +
+                                      " of up to " + a.arrayLengths.max + " elements"});
+        });
+    });
+    return findings;
+});
+
+addRule("ttl_not_date", "warning", "TTL index is on a field that is not a date",
+        ["data_info.index_analysis"], function(docs) {
+    var findings = [];
+    reportDocs(docs, "data_info", "index_analysis").forEach(function(doc) {
+        var ns = doc.database + "." + doc.collection;
+        (doc.output.ttlNotDate || []).forEach(function(t) {
+            findings.push({'host': docHost(doc), 'ns': ns, 'index': t.index, 'types': t.types,
+                           'message': ns + " TTL index " + t.index + " is on " + t.field + " holding " +
+                                      Object.keys(t.types).join(", ") + " values, which never expire"});
+        });
+    });
+    return findings;
+});
+
+addRule("unique_without_shard_key", "warning", "Unique index of a sharded collection does not start with the shard key",
+        ["data_info.index_analysis"], function(docs) {
+    var findings = [];
+    reportDocs(docs, "data_info", "index_analysis").forEach(function(doc) {
+        var ns = doc.database + "." + doc.collection;
+        (doc.output.uniqueWithoutShardKey || []).forEach(function(u) {
+            findings.push({'host': docHost(doc), 'ns': ns, 'index': u.index,
+                           'message': ns + " unique index " + u.index + " does not start with the shard key, " +
+                                      "so uniqueness is only enforced per shard"});
+        });
+    });
+    return findings;
+});
+
+addRule("indexes_larger_than_data", "info", "Indexes take more space than the data",
+        ["data_info.index_analysis"], function(docs) {
+    return reportDocs(docs, "data_info", "index_analysis").filter(function(doc) {
+        return doc.output.sizes && doc.output.sizes.indexToDataRatio > 1;
+    }).map(function(doc) {
+        var ns = doc.database + "." + doc.collection;
+        return {'host': docHost(doc), 'ns': ns, 'indexToDataRatio': doc.output.sizes.indexToDataRatio,
+                'message': ns + " indexes are " + doc.output.sizes.indexToDataRatio + " times the size of its data"};
+    });
+});
+
+// Bound of a chunk or tag range in a finding message; a gap at either end of
+// the shard key space has no bound there
+function rangeBound(key, end) {
+    return (key === null ? end : stringifyExtendedJSON(key));
+}
+
+// One rule per list of problems of the sharding "Metadata consistency" checks
+[
+    ["chunk_range_gap", "critical", "Chunk ranges leave gaps in the shard key space", "chunkGaps", function(p) {
+        return p.ns + " has no chunk from " + rangeBound(p.min, "MinKey") + " to " + rangeBound(p.max, "MaxKey");
+    }],
+    ["chunk_range_overlap", "critical", "Chunk ranges overlap", "chunkOverlaps", function(p) {
+        return p.ns + " chunks on " + p.shards.join(" and ") + " overlap from " + rangeBound(p.min) + " to " + rangeBound(p.max);
+    }],
+    ["chunks_on_unknown_shard", "critical", "Chunks are on a shard that does not exist", "chunksOnUnknownShards", function(p) {
+        return p.ns + " has " + p.chunks + " chunk(s) on shard " + p.shard + ", which does not exist";
+    }],
+    ["unknown_primary_shard", "critical", "Database primary shard does not exist", "databasesWithUnknownPrimary", function(p) {
+        return "database " + p.database + " has primary shard " + p.primary + ", which does not exist";
+    }],
+    ["tag_range_overlap", "warning", "Tag ranges overlap", "tagOverlaps", function(p) {
+        return p.ns + " tag ranges " + p.tags.join(" and ") + " overlap from " + rangeBound(p.min) + " to " + rangeBound(p.max);
+    }],
+    ["tag_without_shard", "warning", "Tag range uses a tag no shard has", "tagsWithoutShards", function(p) {
+        return p.ns + " has ranges for tag " + p.tag + ", which no shard has";
+    }],
+    ["sharded_collection_without_chunks", "warning", "Sharded collection has no chunks", "collectionsWithoutChunks", function(ns) {
+        return ns + " is sharded but has no chunks";
+    }],
+    ["jumbo_chunks", "warning", "Collection has jumbo chunks", "jumboChunks", function(p) {
+        return p.ns + " has " + p.count + " jumbo chunk(s)";
+    }]
+].forEach(function(check) {
+    var field = check[3], message = check[4];
+    addRule(check[0], check[1], check[2], ["shard_info.metadata_consistency"], function(docs) {
+        var findings = [];
+        reportDocs(docs, "shard_info", "metadata_consistency").forEach(function(doc) {
+            (doc.output[field] || []).forEach(function(problem) {
+                var finding = {'host': docHost(doc)};
+                if (typeof problem === "string") {
+                    finding['ns'] = problem;
+                } else {
+                    for (var k in problem) {
+                        if (problem.hasOwnProperty(k)) finding[k] = problem[k];
+                    }
+                }
+                finding['message'] = message(problem);
+                findings.push(finding);
+            });
+        });
+        return findings;
+    });
+});
+
+addRule("monotonic_shard_key", "warning", "Shard key is monotonically increasing",
+        ["data_info.sharding_summary"], function(docs) {
+    return reportDocs(docs, "data_info", "sharding_summary").filter(function(doc) {
+        return doc.output.monotonicKey && doc.output.monotonicKey.suspected;
+    }).map(function(doc) {
+        return {'host': docHost(doc), 'ns': doc.output.ns, 'shardKey': doc.output.shardKey,
+                'message': doc.output.ns + " shard key looks monotonically increasing, the last " +
+                           doc.output.monotonicKey.recentInserts + " inserts all went to the chunk up to MaxKey"};
+    });
+});
+
+addRule("low_cardinality_shard_key", "warning", "Shard key has few distinct values",
+        ["data_info.sharding_summary"], function(docs) {
+    return reportDocs(docs, "data_info", "sharding_summary").filter(function(doc) {
+        return doc.output.cardinality && doc.output.cardinality.estimate == "low";
+    }).map(function(doc) {
+        var c = doc.output.cardinality;
+        return {'host': docHost(doc), 'ns': doc.output.ns, 'shardKey': doc.output.shardKey,
+                'message': doc.output.ns + " shard key has " + c.distinct + " distinct values in " + c.sampled + " sampled documents"};
+    });
+});
+
+addRule("unbalanced_collection", "warning", "Sharded collection is unevenly spread over the shards",
+        ["data_info.sharding_summary"], function(docs) {
+    return reportDocs(docs, "data_info", "sharding_summary").filter(function(doc) {
+        return doc.output.dataImbalanceRatio >= _imbalanceWarnRatio || doc.output.chunkImbalanceRatio >= _imbalanceWarnRatio;
+    }).map(function(doc) {
+        var ratio = Math.max(doc.output.dataImbalanceRatio || 0, doc.output.chunkImbalanceRatio || 0);
+        return {'host': docHost(doc), 'ns': doc.output.ns,
+                'message': doc.output.ns + " has a shard holding " + ratio + " times its average share of data or chunks"};
+    });
+});
+
+addRule("security_audit", "warning", "Security audit check does not pass",
+        ["security_info.security_audit"], function(docs) {
+    var findings = [];
+    reportDocs(docs, "security_info", "security_audit").forEach(function(doc) {
+        (doc.output.checks || []).forEach(function(c) {
+            if (c.status == "pass") return;
+            findings.push({'host': docHost(doc), 'check': c.check, 'severity': (c.status == "fail" ? "critical" : "warning"),
+                           'message': c.check + ": " + c.detail});
+        });
+    });
+    return findings;
+});
+
+addRule("transparent_huge_pages", "warning", "Transparent huge pages are enabled",
+        ["server_info.startup_warnings", "member_info.startup_warnings"], function(docs) {
+    var warnings = reportDocs(docs, "server_info", "startup_warnings").concat(
+        reportDocs(docs, "member_info", "startup_warnings"));
+    return warnings.filter(function(doc) {
+        return doc.output.log instanceof Array && doc.output.log.some(function(line) {
+            return /transparent_hugepage\/(enabled|defrag) is 'always'/.test(line);
+        });
+    }).map(function(doc) {
+        return {'host': docHost(doc), 'message': "transparent huge pages are set to 'always'"};
+    });
+});
+
+addRule("slow_collscan", "warning", "Slow queries scan whole collections",
+        ["data_info.slow_query_summary"], function(docs) {
+    var findings = [];
+    reportDocs(docs, "data_info", "slow_query_summary").forEach(function(doc) {
+        (doc.output.shapes || []).forEach(function(shape) {
+            if (! shape.collscan) return;
+            findings.push({'host': docHost(doc), 'ns': shape.ns, 'shape': shape.shape, 'count': shape.count,
+                           'totalMillis': shape.totalMillis,
+                           'message': shape.op + " on " + shape.ns + " scanned the whole collection " +
+                                      shape.count + " time(s) in the profiler sample"});
+        });
+    });
+    return findings;
+});
+
+addRule("profiler_level_2", "warning", "Database profiler is left at level 2",
+        ["data_info.database_profiler"], function(docs) {
+    return reportDocs(docs, "data_info", "database_profiler").filter(function(doc) {
+        return doc.output.was == 2;
+    }).map(function(doc) {
+        return {'host': docHost(doc), 'database': doc.database,
+                'message': "profiler is at level 2 (all operations) on database " + doc.database};
+    });
+});
+
+// The rules not turned off by _skipRules
+function activeRules() {
+    var skip = namePatterns(_skipRules);
+    return _rules.concat(_extraRules).filter(function(rule) {
+        return ! matchesAny(skip, [rule.name]);
+    });
+}
+
+// Patterns of the section/subsections read by the active rules, or null if
+// some rule may read any of them
+function ruleInputPatterns() {
+    var inputs = [];
+    var all = activeRules().some(function(rule) {
+        if (! rule.inputs) return true;
+        inputs = inputs.concat(rule.inputs);
+        return false;
+    });
+    return (all ? null : namePatterns(inputs));
+}
+
+// Whether a collected doc has to be kept in _output for the findings
+function isRuleInput(doc) {
+    if (_ruleInputPatterns === null) return true;
+    var names = [doc.section];
+    if (doc.subsection !== undefined) {
+        names.push(doc.subsection, doc.section + "." + doc.subsection);
+    }
+    return matchesAny(_ruleInputPatterns, names);
+}
+
+// Run every rule over docs, returning the findings sorted by severity
+function evaluateRules(docs) {
+    var findings = [];
+    activeRules().forEach(function(rule) {
+        try {
+            rule.check(docs).forEach(function(finding) {
+                var doc = {'rule': rule.name, 'severity': finding.severity || rule.severity};
+                for (var k in finding) {
+                    if (finding.hasOwnProperty(k) && k != "severity") doc[k] = finding[k];
+                }
+                findings.push(doc);
+            });
+        } catch(err) {
+            findings.push({'rule': rule.name, 'severity': "info", 'message': "rule failed: " + err});
+        }
+    });
+    return findings.sort(function(a, b) {
+        return _severities.indexOf(a.severity) - _severities.indexOf(b.severity);
+    });
+}
+
+function printFindings() {
+    printInfo('Findings', function(){return evaluateRules(_output)});
+}
+
+// Last record of _printNDJSON output, so that a complete run can be told
+// from one that died midway
+function printSummary() {
+    var summary = {};
+    summary['section'] = "summary";
+    summary['host'] = (_redact && _redactHostnames ? redactHostString(_host) : _host);
+    summary['ref'] = _ref;
+    summary['tag'] = _tag;
+    summary['output'] = _counts;
+    summary['ts'] = {'start': _runStartTime, 'end': new Date()};
+    summary['version'] = _version;
+    print(stringifyExtendedJSON(summary));
+}
+
+// File helpers for both shells: the legacy shell's own functions (writeFile
+// needs a 4.x shell), or Node's fs and crypto modules under mongosh
+function readTextFile(path) {
+    return (typeof cat === "function" ? cat(path) : require("fs").readFileSync(path, "utf8"));
+}
+
+function writeTextFile(path, text) {
+    if (_isMongosh) {
+        require("fs").writeFileSync(path, text);
+    } else if (typeof writeFile === "function") {
+        writeFile(path, text);
+    } else {
+        throw Error("this shell cannot write files, use mongosh or a mongo shell of version 4.0 or later");
+    }
+}
+
+function makeDirectory(path) {
+    if (_isMongosh) {
+        require("fs").mkdirSync(path, {'recursive': true});
+    } else {
+        mkdir(path);
+    }
+}
+
+// Checksum of a file as written: SHA-256 under mongosh, MD5 in the legacy
+// shell, which has nothing better
+function fileChecksum(path, algorithm) {
+    algorithm = algorithm || (_isMongosh ? "sha256" : "md5");
+    if (_isMongosh) {
+        return {'algorithm': algorithm,
+                'value': require("crypto").createHash(algorithm).update(require("fs").readFileSync(path)).digest("hex")};
+    }
+    if (algorithm != "md5") throw Error(algorithm + " checksums need mongosh");
+    return {'algorithm': algorithm, 'value': md5sumFile(path)};
+}
+
+// Name of the manifest of a bundle, written last so that its presence tells
+// the run completed
+var _bundleManifest = "manifest.json";
+
+// Docs written to one bundle file at most, so that a section is written out
+// as it is collected rather than held until the end
+var _bundleFileDocs = 1000;
+
+// Add a collected doc to the bundle, first writing out the pending docs when
+// they are of another section or fill a file
+function bundleDoc(doc) {
+    var pending = _bundled.pending;
+    if (pending.length && (pending[0].section != doc.section || pending.length >= _bundleFileDocs)) {
+        flushBundle(_bundle);
+    }
+    _bundled.pending.push(doc);
+}
+
+// Write the pending docs of the bundle to the next file of their section
+// (server_info.json, then server_info-2.json, ...), recording its record,
+// error and skipped counts and its checksum for the manifest
+function flushBundle(dir) {
+    var docs = _bundled.pending;
+    if (! docs.length) return;
+    _bundled.pending = [];
+    var section = docs[0].section;
+    var part = _bundled.files.filter(function(entry) { return entry.section == section; }).length + 1;
+    var file = section + (part > 1 ? "-" + part : "") + ".json";
+    writeTextFile(dir + "/" + file, stringifyExtendedJSON(docs, 4));
+    var checksum = fileChecksum(dir + "/" + file);
+    _bundled.files.push({
+        'section': section,
+        'file': file,
+        'records': docs.length,
+        'errors': docs.filter(function(doc) { return doc.error !== null; }).length,
+        'skipped': docs.filter(function(doc) { return doc.skipped; }).length,
+        'checksumAlgorithm': checksum.algorithm,
+        'checksum': checksum.value
+    });
+    docs.forEach(function(doc) {
+        if (doc.error === null) return;
+        var err = {'section': doc.section, 'subsection': doc.subsection};
+        ['database', 'collection', 'member', 'shard'].forEach(function(k) {
+            if (doc[k] !== undefined) err[k] = doc[k];
+        });
+        err['error'] = doc.error;
+        _bundled.errors.push(err);
+    });
+}
+
+// Write the last pending docs and the manifest of the bundle: the run, and
+// every file with its record, error and skipped counts and its checksum
+function finishBundle(dir) {
+    flushBundle(dir);
+    var manifest = {
+        'version': _version,
+        'tag': _tag,
+        'ref': _ref,
+        'host': (_redact && _redactHostnames ? redactHostString(_host) : _host),
+        'ts': {'start': _runStartTime, 'end': new Date()},
+        'jsonFormat': _jsonFormat,
+        'counts': _counts,
+        'files': _bundled.files,
+        'errors': _bundled.errors
+    };
+    writeTextFile(dir + "/" + _bundleManifest, stringifyExtendedJSON(manifest, 4));
+    if (! _printJSON) print("\nWrote " + _counts.docs + " docs in " + manifest.files.length + " files to " + dir);
+    return manifest;
+}
+
+// Check a bundle against its manifest: every file listed is there with the
+// same checksum and number of records, and the files add up to every doc of
+// the run. The checksums are stored in the manifest itself, so this detects
+// corruption and missing files, not tampering.
+function verifyBundle(dir) {
+    var manifest;
+    try {
+        manifest = fromExtendedJSON(JSON.parse(readTextFile(dir + "/" + _bundleManifest)));
+    } catch(err) {
+        return {'ok': false, 'complete': false, 'error': "no readable " + _bundleManifest + ": " + err};
+    }
+    var files = manifest.files.map(function(entry) {
+        var result = {'file': entry.file, 'ok': false};
+        try {
+            var checksum = fileChecksum(dir + "/" + entry.file, entry.checksumAlgorithm);
+            result['checksumMatches'] = (checksum.value == entry.checksum);
+            result['records'] = JSON.parse(readTextFile(dir + "/" + entry.file)).length;
+            result['ok'] = result.checksumMatches && result.records == numberValue(entry.records);
+        } catch(err) {
+            result['error'] = String(err);
+        }
+        return result;
+    });
+    var records = manifest.files.reduce(function(sum, entry) { return sum + numberValue(entry.records); }, 0);
+    var docs = numberValue(manifest.counts.docs);
+    // a manifest listing fewer records than the run collected has lost files
+    var complete = (records == docs);
+    return {
+        'ok': complete && files.every(function(f) { return f.ok; }),
+        'complete': complete,
+        'version': manifest.version,
+        'tag': manifest.tag,
+        'host': manifest.host,
+        'docs': docs,
+        'records': records,
+        'errors': manifest.errors.length,
+        'files': files
+    };
+}
+
+// Read a report saved with _printJSON (a JSON array), _printNDJSON (one doc
+// per line) or _bundle (a directory), skipping anything the shell printed
+// before it
+function readReport(path) {
+    var manifest = null;
+    try {
+        manifest = JSON.parse(readTextFile(path + "/" + _bundleManifest));
+    } catch(err) {
+        // not a bundle
+    }
+    if (manifest) {
+        return manifest.files.reduce(function(docs, entry) {
+            return docs.concat(JSON.parse(readTextFile(path + "/" + entry.file)));
+        }, []);
+    }
+    var text = readTextFile(path);
+    var lines = text.split("\n");
+    for (var i = 0; i < lines.length; i++) {
+        var line = lines[i].trim();
+        if (line[0] == "[") {
+            return JSON.parse(lines.slice(i).join("\n"));
+        }
+        if (line[0] == "{") {
+            return lines.slice(i).filter(function(l) { return l.trim()[0] == "{"; }).map(function(l) {
+                return JSON.parse(l);
+            });
+        }
+    }
+    throw Error("no getMongoData.js JSON output found in " + path);
+}
+
+// A saved report, loaded with _report or Report.load(), to query and run the
+// analysis functions and rules against without access to the deployment
+var Report = {
+    'docs': [],
+
+    // Load a saved report, with its values turned back into shell types
+    'load': function(path) {
+        this.docs = readReport(path).map(fromExtendedJSON);
+        return this;
+    },
+
+    // The docs of a section, and optionally of one of its subsections, given
+    // by name ("server_status_info") or title ("Server status info")
+    'section': function(name, subsection) {
+        var sub = (subsection === undefined ? undefined : subsectionName(subsection));
+        return this.docs.filter(function(doc) {
+            return doc.section == name && (sub === undefined || doc.subsection == sub);
+        });
+    },
+
+    // The output of the first doc of a section or subsection, or null if it
+    // was not collected
+    'output': function(name, subsection) {
+        var found = this.section(name, subsection).filter(function(doc) {
+            return doc.output !== null && doc.output !== undefined;
+        });
+        return (found.length ? found[0].output : null);
+    },
+
+    // The docs a predicate returns true for, or whose fields equal those of a query
+    'find': function(predicate) {
+        if (typeof predicate !== "function") {
+            var query = predicate || {};
+            predicate = function(doc) {
+                return Object.keys(query).every(function(k) { return doc[k] == query[k]; });
+            };
+        }
+        return this.docs.filter(predicate);
+    },
+
+    // The host the report was collected from, as its server status gives it
+    'host': function() {
+        var status = this.output("server_info", "server_status_info");
+        if (status && status.host) return status.host;
+        return (this.docs.length ? this.docs[0].host : null);
+    },
+
+    // The databases reported on
+    'databases': function() {
+        var names = [];
+        this.section("data_info").forEach(function(doc) {
+            if (doc.database !== undefined && names.indexOf(doc.database) < 0) names.push(doc.database);
+        });
+        return names;
+    },
+
+    // The namespaces of the collections reported on, of one database if given
+    'collections': function(database) {
+        var names = [];
+        this.section("data_info").forEach(function(doc) {
+            if (doc.collection === undefined || (database !== undefined && doc.database != database)) return;
+            var ns = doc.database + "." + doc.collection;
+            if (names.indexOf(ns) < 0) names.push(ns);
+        });
+        return names;
+    },
+
+    // The findings of the report, or of the rules as they are now when
+    // evaluate is set
+    'findings': function(evaluate) {
+        if (evaluate) return evaluateRules(this.docs);
+        return this.output("findings") || [];
+    }
+};
+
 
 if (typeof _printJSON === "undefined") var _printJSON = false;
+if (typeof _printNDJSON === "undefined") var _printNDJSON = false;
+if (_printNDJSON) _printJSON = true;
+if (typeof _bundle === "undefined") var _bundle = null;
+if (typeof _verifyBundle === "undefined") var _verifyBundle = null;
+if (typeof _jsonFormat === "undefined") var _jsonFormat = "relaxed";
 if (typeof _ref === "undefined") var _ref = null;
+if (typeof _redact === "undefined") var _redact = false;
+if (typeof _redactHostnames === "undefined") var _redactHostnames = false;
+if (typeof _schemaSampleSize === "undefined") var _schemaSampleSize = 0;
+if (typeof _commandTimeoutMS === "undefined") var _commandTimeoutMS = 0;
+if (typeof _collectionTimeBudgetMS === "undefined") var _collectionTimeBudgetMS = 0;
+if (typeof _deadlineMS === "undefined") var _deadlineMS = 0;
+if (typeof _serverStatusSampleMS === "undefined") var _serverStatusSampleMS = 0;
+if (typeof _serverStatusIntervalMS === "undefined") var _serverStatusIntervalMS = 1000;
+if (typeof _longRunningOpSecs === "undefined") var _longRunningOpSecs = 60;
+if (typeof _profileSampleSize === "undefined") var _profileSampleSize = 1000;
+if (typeof _extraRules === "undefined") var _extraRules = [];
+if (typeof _skipRules === "undefined") var _skipRules = null;
+if (typeof _allMembers === "undefined") var _allMembers = false;
+if (typeof _memberAuth === "undefined") var _memberAuth = null;
+if (typeof _include === "undefined") var _include = null;
+if (typeof _exclude === "undefined") var _exclude = null;
+if (typeof _includeDBs === "undefined") var _includeDBs = null;
+if (typeof _excludeDBs === "undefined") var _excludeDBs = null;
+if (typeof _includeCollections === "undefined") var _includeCollections = null;
+if (typeof _excludeCollections === "undefined") var _excludeCollections = null;
+if (typeof _report === "undefined") var _report = null;
+if (typeof _loadOnly === "undefined") var _loadOnly = false;
+var _includePatterns = namePatterns(_include);
+var _excludePatterns = namePatterns(_exclude);
+var _includeDBPatterns = namePatterns(_includeDBs);
+var _excludeDBPatterns = namePatterns(_excludeDBs);
+var _includeCollectionPatterns = namePatterns(_includeCollections);
+var _excludeCollectionPatterns = namePatterns(_excludeCollections);
 var _output = [];
+var _counts = {'docs': 0, 'errors': 0, 'skipped': 0};
+var _bundled = {'pending': [], 'files': [], 'errors': []};
+var _ruleInputPatterns = ruleInputPatterns();
 var _tag = ObjectId();
-if (! _printJSON) {
-    print("================================");
-    print("MongoDB Config and Schema Report");
-    print("getMongoData.js version " + _version);
-    print("================================");
-}
-var _host = hostname();
-printServerInfo();
-var isMongoS = printShardOrReplicaSetInfo();
-printAuthInfo();
-printDataInfo(isMongoS);
-if (_printJSON) print(JSON.stringify(_output, jsonStringifyReplacer, 4));
+var _runStartTime = new Date();
+var _collectionDeadline = null;
+var _context = {};
+if (_loadOnly) {
+    // only the functions are wanted, as by renderMongoData.js and diffMongoData.js
+} else if (_report) {
+    // nothing is collected, the saved report is queried through Report
+    Report.load(_report);
+    print("Loaded " + Report.docs.length + " docs of the report of " + Report.host() + " from " + _report);
+} else if (_verifyBundle) {
+    printjson(verifyBundle(_verifyBundle));
+} else {
+    if (! _printJSON) {
+        print("================================");
+        print("MongoDB Config and Schema Report");
+        print("getMongoData.js version " + _version);
+        print("================================");
+    }
+    var _host = shellHostname();
+    if (_bundle) makeDirectory(_bundle);
+    if (isSectionSelected("server_info")) printServerInfo();
+    if (isSectionSelected("storage_info")) printStorageInfo();
+    if (isSectionSelected("operation_info")) printOperationInfo();
+    var isMongoS = printShardOrReplicaSetInfo();
+    if (_allMembers && isSectionSelected("member_info")) printMemberInfo(isMongoS);
+    if (isSectionSelected("auth_info")) printAuthInfo();
+    if (isSectionSelected("security_info")) printSecurityInfo();
+    if (isSectionSelected("data_info")) printDataInfo(isMongoS);
+    printFindings();
+    if (_bundle) finishBundle(_bundle);
+    if (_printNDJSON) {
+        printSummary();
+    } else if (_printJSON) {
+        print(stringifyExtendedJSON(_output, 4));
+    }
+}
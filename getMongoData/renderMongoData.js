@@ -0,0 +1,447 @@
+/* global load, print, readReport, reportDocs, reportOutput */
+
+/* ====================================================================
+ * renderMongoData.js: MongoDB Config and Schema Report as an HTML page
+ * ====================================================================
+ *
+ * Copyright MongoDB, Inc, 2015
+ *
+ * Render a getMongoData.js report taken with _printJSON, _printNDJSON or
+ * _bundle set as a single self-contained HTML file.
+ *
+ * To render a saved report, run:
+ *
+ *     mongo --quiet --norc --nodb --eval "var _input='getMongoData-output.json'" renderMongoData.js > getMongoData.html
+ *
+ * Loading the script without _input set only defines
+ * renderMongoData(docs), which returns the HTML page as a string.
+ *
+ * For details, see
+ * https://github.com/mongodb/support-tools/tree/master/getMongoData.
+ *
+ *
+ * DISCLAIMER
+ *
+ * Please note: all tools/ scripts in this repo are released for use "AS
+ * IS" without any warranties of any kind, including, but not limited to
+ * their installation, use, or performance. We disclaim any and all
+ * warranties, either express or implied, including but not limited to
+ * any warranty of noninfringement, merchantability, and/ or fitness for
+ * a particular purpose. We do not warrant that the technology will
+ * meet your requirements, that the operation thereof will be
+ * uninterrupted or error-free, or that any errors will be corrected.
+ *
+ * Any use of these scripts and tools is at your own risk. There is no
+ * guarantee that they have been through thorough testing in a
+ * comparable environment and we are not responsible for any damage
+ * or data loss incurred with their use.
+ *
+ * You are responsible for reviewing and testing any scripts you run
+ * thoroughly before use in any non-testing environment.
+ *
+ *
+ * LICENSE
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// The report loader and the section helpers (readReport, reportDocs,
+// reportOutput) are those of getMongoData.js, loaded without collecting
+// anything; set _getMongoData to its path when it is not in the current
+// directory
+if (typeof _getMongoData === "undefined") var _getMongoData = "getMongoData.js";
+var _loadOnly = true;
+load(_getMongoData);
+
+// Plain value of an Extended JSON (v1 or v2) number, date or ObjectId
+function plainValue(v) {
+    if (v === null || typeof v !== "object") return v;
+    if ("$numberLong" in v) return Number(v.$numberLong);
+    if ("$numberInt" in v) return Number(v.$numberInt);
+    if ("$numberDouble" in v) return Number(v.$numberDouble);
+    if ("$numberDecimal" in v) return Number(v.$numberDecimal);
+    if ("$oid" in v) return v.$oid;
+    if ("$timestamp" in v) return new Date(v.$timestamp.t * 1000);
+    if ("$date" in v) {
+        var d = v.$date;
+        return new Date(typeof d === "object" ? Number(d.$numberLong) : d);
+    }
+    return v;
+}
+
+function escapeHTML(s) {
+    return String(s).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+}
+
+// Display text of a report value
+function displayValue(v) {
+    v = plainValue(v);
+    if (v === null || v === undefined) return "";
+    if (v instanceof Date) return isNaN(v.getTime()) ? "" : v.toISOString();
+    if (typeof v === "number") return (isFinite(v) ? (Math.round(v * 100) / 100).toLocaleString() : "");
+    if (typeof v === "object") return JSON.stringify(v);
+    return String(v);
+}
+
+// Nested field of a document by "a.b.c" path, or undefined
+function field(doc, path) {
+    return path.split(".").reduce(function(v, k) {
+        return (v === null || v === undefined ? undefined : v[k]);
+    }, doc);
+}
+
+// An HTML table. columns are [{title, value(row), numeric}]; numeric columns
+// carry their raw value so that the table can be sorted by them
+function htmlTable(columns, rows, sortable) {
+    var html = ['<table' + (sortable ? ' class="sortable"' : '') + '><thead><tr>'];
+    columns.forEach(function(c) {
+        html.push('<th' + (c.numeric ? ' class="num"' : '') + '>' + escapeHTML(c.title) + '</th>');
+    });
+    html.push('</tr></thead><tbody>');
+    rows.forEach(function(row) {
+        html.push('<tr>');
+        columns.forEach(function(c) {
+            var v = plainValue(c.value(row));
+            if (c.numeric) {
+                var n = (typeof v === "number" && isFinite(v) ? v : "");
+                html.push('<td class="num" data-sort="' + n + '">' + escapeHTML(displayValue(v)) + '</td>');
+            } else {
+                html.push('<td>' + escapeHTML(displayValue(v)) + '</td>');
+            }
+        });
+        html.push('</tr>');
+    });
+    html.push('</tbody></table>');
+    return html.join("");
+}
+
+// Horizontal bar chart of [{label, value}]
+function htmlBarChart(bars) {
+    var max = Math.max.apply(null, bars.map(function(b) { return b.value; }).concat([1]));
+    var html = ['<div class="chart">'];
+    bars.forEach(function(b) {
+        html.push('<div class="bar"><span class="label">' + escapeHTML(b.label) + '</span>' +
+                  '<span class="fill" style="width: ' + (60 * b.value / max).toFixed(1) + '%"></span>' +
+                  '<span class="value">' + escapeHTML(displayValue(b.value)) + '</span></div>');
+    });
+    html.push('</div>');
+    return html.join("");
+}
+
+function htmlSection(id, title, body) {
+    return '<section id="' + id + '"><h2>' + escapeHTML(title) + '</h2>' + body + '</section>';
+}
+
+function reportHeader(docs, summary) {
+    var first = docs.length ? docs[0] : {};
+    var build = reportOutput(docs, "server_info", "server_build_info");
+    var rows = [
+        ["Reference", first.ref],
+        ["Shell host", first.host],
+        ["Server version", build ? build.version : null],
+        ["getMongoData.js version", first.version],
+        ["Collected", first.ts ? first.ts.start : null]
+    ];
+    var html = htmlTable([{'title': "", 'value': function(r) { return r[0]; }},
+                          {'title': "", 'value': function(r) { return r[1]; }}], rows);
+    var errors = docs.filter(function(doc) { return doc.error; }).length;
+    var skipped = docs.filter(function(doc) { return doc.skipped; }).length;
+    if (errors || skipped) {
+        html += '<p class="warning">' + errors + ' subsection(s) failed and ' + skipped + ' were skipped, ' +
+                'see the raw data below.</p>';
+    }
+    // findings are always collected last
+    if (docs.length && docs[docs.length - 1].section != "findings") {
+        html += '<p class="warning">The report does not end with its findings: the run may not have completed.</p>';
+    }
+    if (summary) {
+        html += '<p>' + summary.output.docs + ' subsections collected, ' + summary.output.errors + ' errors, ' +
+                summary.output.skipped + ' skipped.</p>';
+    }
+    return html;
+}
+
+function topologyOverview(docs) {
+    var isMaster = reportOutput(docs, "shard_or_replicaset_info", "ismaster") || {};
+    var html = [];
+    if (isMaster.msg == "isdbgrid") {
+        html.push('<p>Sharded cluster, connected to a <code>mongos</code>.</p>');
+        var shards = reportOutput(docs, "shard_info", "shards");
+        if (shards) {
+            html.push('<h3>Shards</h3>');
+            html.push(htmlTable([
+                {'title': "Shard", 'value': function(s) { return s._id; }},
+                {'title': "Host", 'value': function(s) { return s.host; }},
+                {'title': "State", 'value': function(s) { return s.state; }},
+                {'title': "Zones", 'value': function(s) { return (s.tags || []).join(", "); }}
+            ], shards));
+        }
+    } else if (isMaster.setName) {
+        html.push('<p>Replica set <code>' + escapeHTML(isMaster.setName) + '</code>, primary <code>' +
+                  escapeHTML(isMaster.primary || "none") + '</code>.</p>');
+        html.push(htmlTable([{'title': "Hosts", 'value': function(h) { return h; }}],
+                            (isMaster.hosts || []).concat(isMaster.passives || [], isMaster.arbiters || [])));
+    } else {
+        html.push('<p>Standalone <code>' + escapeHTML(isMaster.msg || "mongod") + '</code>.</p>');
+    }
+    var members = reportOutput(docs, "member_info", "cluster_members");
+    if (members) {
+        html.push('<h3>Cluster members</h3>');
+        html.push(htmlTable([
+            {'title': "Member", 'value': function(m) { return m.host; }},
+            {'title': "Shard", 'value': function(m) { return m.shard; }}
+        ], members));
+    }
+    return html.join("");
+}
+
+// Server summary rows, one for the connected server and one per cluster
+// member collected with _allMembers
+function serverSummaries(docs) {
+    var hosts = {};
+    var order = [];
+    function host(doc) {
+        var key = doc.member || "";
+        if (! (key in hosts)) {
+            hosts[key] = {'host': doc.member, 'shard': doc.shard};
+            order.push(key);
+        }
+        return hosts[key];
+    }
+    ["server_info", "member_info"].forEach(function(section) {
+        reportDocs(docs, section, "server_status_info").forEach(function(doc) {
+            var h = host(doc);
+            var status = doc.output;
+            if (! h.host) h.host = status.host;
+            h.process = status.process;
+            h.version = status.version;
+            h.uptime = status.uptime;
+            h.engine = field(status, "storageEngine.name");
+            h.connections = field(status, "connections.current");
+            h.available = field(status, "connections.available");
+            h.residentMB = field(status, "mem.resident");
+        });
+        reportDocs(docs, section, "host_info").forEach(function(doc) {
+            var h = host(doc);
+            h.os = field(doc.output, "os.name");
+            h.cores = field(doc.output, "system.numCores");
+            h.memSizeMB = field(doc.output, "system.memSizeMB");
+        });
+    });
+    return order.map(function(key) { return hosts[key]; });
+}
+
+function serverSummary(docs) {
+    return htmlTable([
+        {'title': "Host", 'value': function(h) { return h.host; }},
+        {'title': "Shard", 'value': function(h) { return h.shard; }},
+        {'title': "Process", 'value': function(h) { return h.process; }},
+        {'title': "Version", 'value': function(h) { return h.version; }},
+        {'title': "Storage engine", 'value': function(h) { return h.engine; }},
+        {'title': "Uptime (hours)", 'numeric': true,
+         'value': function(h) { var u = plainValue(h.uptime); return (u === undefined ? u : u / 3600); }},
+        {'title': "Connections", 'numeric': true, 'value': function(h) { return h.connections; }},
+        {'title': "Available", 'numeric': true, 'value': function(h) { return h.available; }},
+        {'title': "Resident (MB)", 'numeric': true, 'value': function(h) { return h.residentMB; }},
+        {'title': "OS", 'value': function(h) { return h.os; }},
+        {'title': "Cores", 'numeric': true, 'value': function(h) { return h.cores; }},
+        {'title': "Memory (MB)", 'numeric': true, 'value': function(h) { return h.memSizeMB; }}
+    ], serverSummaries(docs), true);
+}
+
+// Members of a replSetGetStatus output, with their lag behind the primary
+// (or the most recent member if there is no primary) in seconds
+function replicaSetMembersWithLag(status) {
+    var members = status.members || [];
+    var optimes = members.map(function(m) {
+        var d = plainValue(m.optimeDate);
+        return (d instanceof Date ? d.getTime() : null);
+    });
+    var reference = null;
+    members.forEach(function(m, i) {
+        if (m.stateStr == "PRIMARY") reference = optimes[i];
+    });
+    if (reference === null) {
+        reference = Math.max.apply(null, optimes.filter(function(t) { return t !== null; }).concat([0]));
+    }
+    return members.map(function(m, i) {
+        return {'member': m, 'lag': (optimes[i] === null || m.stateStr == "ARBITER" ? null :
+                                     (reference - optimes[i]) / 1000)};
+    });
+}
+
+function replicaSetTables(docs) {
+    // one status per replica set: the connected one, then each shard's seen through _allMembers
+    var statuses = {};
+    reportDocs(docs, "replicaset_info", "replica_status").concat(
+        reportDocs(docs, "member_info", "replica_status")).forEach(function(doc) {
+        if (doc.output.set && doc.output.members && ! (doc.output.set in statuses)) {
+            statuses[doc.output.set] = doc.output;
+        }
+    });
+    return Object.keys(statuses).map(function(set) {
+        return '<h3>' + escapeHTML(set) + '</h3>' + htmlTable([
+            {'title': "Member", 'value': function(r) { return r.member.name; }},
+            {'title': "State", 'value': function(r) { return r.member.stateStr; }},
+            {'title': "Health", 'numeric': true, 'value': function(r) { return r.member.health; }},
+            {'title': "Last optime", 'value': function(r) { return r.member.optimeDate; }},
+            {'title': "Lag (s)", 'numeric': true, 'value': function(r) { return r.lag; }},
+            {'title': "Sync source", 'value': function(r) { return r.member.syncSourceHost || r.member.syncingTo; }},
+            {'title': "Uptime (hours)", 'numeric': true,
+             'value': function(r) { return plainValue(r.member.uptime) / 3600; }}
+        ], replicaSetMembersWithLag(statuses[set]), true);
+    }).join("");
+}
+
+function databaseTable(docs) {
+    var rows = reportDocs(docs, "data_info", "database_stats_(mb)").map(function(doc) { return doc.output; });
+    return htmlTable([
+        {'title': "Database", 'value': function(s) { return s.db; }},
+        {'title': "Collections", 'numeric': true, 'value': function(s) { return s.collections; }},
+        {'title': "Objects", 'numeric': true, 'value': function(s) { return s.objects; }},
+        {'title': "Data size (MB)", 'numeric': true, 'value': function(s) { return s.dataSize; }},
+        {'title': "Storage size (MB)", 'numeric': true, 'value': function(s) { return s.storageSize; }},
+        {'title': "Index size (MB)", 'numeric': true, 'value': function(s) { return s.indexSize; }}
+    ], rows, true);
+}
+
+function collectionTable(docs) {
+    var rows = reportDocs(docs, "data_info", "collection_stats_(mb)").map(function(doc) {
+        return {'ns': doc.output.ns || (doc.database + "." + doc.collection), 'stats': doc.output};
+    });
+    return htmlTable([
+        {'title': "Namespace", 'value': function(r) { return r.ns; }},
+        {'title': "Documents", 'numeric': true, 'value': function(r) { return r.stats.count; }},
+        {'title': "Data size (MB)", 'numeric': true, 'value': function(r) { return r.stats.size; }},
+        {'title': "Storage size (MB)", 'numeric': true, 'value': function(r) { return r.stats.storageSize; }},
+        {'title': "Indexes", 'numeric': true, 'value': function(r) { return r.stats.nindexes; }},
+        {'title': "Index size (MB)", 'numeric': true, 'value': function(r) { return r.stats.totalIndexSize; }},
+        {'title': "Sharded", 'value': function(r) { return r.stats.sharded ? "yes" : ""; }}
+    ], rows, true);
+}
+
+function chunkDistributionCharts(docs) {
+    var dbs = reportOutput(docs, "shard_info", "sharded_databases") || [];
+    var totals = {};
+    var html = [];
+    dbs.forEach(function(db) {
+        (db.collections || []).forEach(function(coll) {
+            var bars = (coll.distribution || []).map(function(d) {
+                var n = plainValue(d.nChunks);
+                totals[d.shard] = (totals[d.shard] || 0) + n;
+                return {'label': d.shard, 'value': n};
+            });
+            html.push('<h3>' + escapeHTML(coll._id) + ' <small>' + escapeHTML(JSON.stringify(coll.key)) +
+                      '</small></h3>' + htmlBarChart(bars));
+        });
+    });
+    if (! html.length) return "";
+    var totalBars = Object.keys(totals).sort().map(function(shard) {
+        return {'label': shard, 'value': totals[shard]};
+    });
+    return '<h3>All sharded collections</h3>' + htmlBarChart(totalBars) + html.join("");
+}
+
+function findingsTable(docs) {
+    var findings = reportOutput(docs, "findings");
+    if (! findings || ! findings.length) return "";
+    return htmlTable([
+        {'title': "Severity", 'value': function(f) { return f.severity; }},
+        {'title': "Rule", 'value': function(f) { return f.rule; }},
+        {'title': "Host", 'value': function(f) { return f.host; }},
+        {'title': "Message", 'value': function(f) { return f.message; }}
+    ], findings);
+}
+
+// Every collected doc as a collapsed block of its JSON
+function rawData(docs) {
+    return docs.map(function(doc) {
+        var title = [doc.section, doc.subsection, doc.member, doc.database, doc.collection].filter(function(t) {
+            return t;
+        }).join(" / ");
+        var status = (doc.error ? ' <span class="warning">error</span>' :
+                      doc.skipped ? ' <span class="warning">skipped</span>' : '');
+        return '<details><summary>' + escapeHTML(title) + status + '</summary><pre>' +
+               escapeHTML(JSON.stringify(doc, null, 2)) + '</pre></details>';
+    }).join("");
+}
+
+var _renderStyle = [
+    'body { font-family: sans-serif; margin: 2em; color: #222; }',
+    'table { border-collapse: collapse; margin: 0.5em 0 1.5em; }',
+    'th, td { border: 1px solid #ccc; padding: 0.25em 0.6em; text-align: left; }',
+    'th { background: #f0f0f0; }',
+    'td.num, th.num { text-align: right; }',
+    'table.sortable th { cursor: pointer; }',
+    '.warning { color: #b00; }',
+    '.chart { margin-bottom: 1.5em; }',
+    '.bar { display: flex; align-items: center; margin: 2px 0; }',
+    '.bar .label { width: 12em; }',
+    '.bar .fill { display: inline-block; height: 1em; background: #4a90d9; margin-right: 0.5em; }',
+    'details pre { background: #f8f8f8; padding: 0.5em; overflow: auto; }'
+].join("\n");
+
+// Click a column header of a sortable table to sort it, again to reverse
+var _renderScript = [
+    'document.querySelectorAll("table.sortable th").forEach(function(th) {',
+    '    th.addEventListener("click", function() {',
+    '        var table = th.closest("table"), body = table.tBodies[0];',
+    '        var index = Array.prototype.indexOf.call(th.parentNode.children, th);',
+    '        var desc = th.dataset.order != "desc";',
+    '        th.dataset.order = desc ? "desc" : "asc";',
+    '        var rows = Array.prototype.slice.call(body.rows);',
+    '        rows.sort(function(a, b) {',
+    '            var x = a.cells[index], y = b.cells[index];',
+    '            var c = ("sort" in x.dataset) ? (Number(x.dataset.sort) || 0) - (Number(y.dataset.sort) || 0) :',
+    '                    x.textContent.localeCompare(y.textContent);',
+    '            return desc ? -c : c;',
+    '        });',
+    '        rows.forEach(function(row) { body.appendChild(row); });',
+    '    });',
+    '});'
+].join("\n");
+
+// The HTML page of a getMongoData.js JSON report (an array of printInfo docs)
+function renderMongoData(docs) {
+    var summaries = docs.filter(function(doc) { return doc.section == "summary"; });
+    docs = docs.filter(function(doc) { return doc.section != "summary"; });
+    // only _printNDJSON output has a summary record
+    var summary = (summaries.length ? summaries[0] : null);
+    var body = [
+        '<h1>MongoDB Config and Schema Report</h1>',
+        reportHeader(docs, summary),
+        htmlSection("topology", "Topology", topologyOverview(docs)),
+        htmlSection("servers", "Servers", serverSummary(docs))
+    ];
+    var replicaSets = replicaSetTables(docs);
+    if (replicaSets) body.push(htmlSection("replica-sets", "Replica set members", replicaSets));
+    var findings = findingsTable(docs);
+    if (findings) body.push(htmlSection("findings", "Findings", findings));
+    body.push(htmlSection("databases", "Databases", databaseTable(docs)));
+    body.push(htmlSection("collections", "Collections", collectionTable(docs)));
+    var chunks = chunkDistributionCharts(docs);
+    if (chunks) body.push(htmlSection("chunks", "Chunk distribution", chunks));
+    body.push(htmlSection("raw", "Raw data", rawData(docs)));
+    return [
+        '<!DOCTYPE html>',
+        '<html><head><meta charset="utf-8"><title>MongoDB Config and Schema Report</title>',
+        '<style>', _renderStyle, '</style></head><body>',
+        body.join("\n"),
+        '<script>', _renderScript, '</script>',
+        '</body></html>'
+    ].join("\n");
+}
+
+if (typeof _input !== "undefined") {
+    print(renderMongoData(readReport(_input)));
+}